@@ -14,7 +14,20 @@
        cumulativeNetWh?: number[],// per-step cumulative in Wh (optional)
        tripWh?: number,           // loads-only trip Wh (still used for KPIs elsewhere)
        tripNetWh?: number,        // NEW: (loads - gen) * days (Wh); positive => battery supplies energy
-       bankUsableWh?: number      // Usable bank energy in Wh (DoD/derate applied)
+       bankUsableWh?: number,     // Usable bank energy in Wh (DoD/derate applied)
+       socTimeline: { labels, soc },  // passage legs, else end-of-day SOC from the hourly model
+       hourly?: { labels, soc,    // hourly SOC % over the trip (days × 24 + 1 points)
+                  loadWh, genWh,  // average Wh per hour over the trip (24 values)
+                  minSoc, minIdx }
+     })
+     window.renderRangeCurve({
+       speeds, distances, perAh,  // range sweep along the propulsion curve
+       best,                      // index of best distance per Ah
+       speedLabel, distUnit       // "knots"/"km/h"/"mph", "nm"/"km"/"mi"
+     })
+     window.renderScenarioCompare({
+       labels,                    // hourly labels of the longest trip
+       series: [{ name, soc }]    // hourly SOC % per compared scenario
      })
    ========================================================= */
 
@@ -128,7 +141,8 @@
     const tripNetAh = tripNetWh / v;
 
     renderGaugeTripVsBank({ hasChart, bankAh, tripNetAh });
-    renderSoc({ labels, hasChart, bank: bankU, perDayNet: net });
+    renderSoc({ hasChart, bank: bankU, timeline: model.socTimeline });
+    if (model.hourly) renderHourly({ hourly: model.hourly, hasChart, isAh, v });
   }
 
   // ---------- Bar with optional overlay ----------
@@ -486,12 +500,14 @@ afterDatasetsDraw(chart) {
 
 
   // ---------- SOC ----------
-  function renderSoc({ labels, hasChart, bank, perDayNet }) {
+  // timeline: { labels, soc } already simulated (clipped at empty/full) by the app —
+  // the passage legs when there are any, else the hourly model sampled at each day's end
+  function renderSoc({ hasChart, bank, timeline }) {
     const canvas = document.getElementById("chartSoc");
     const fallback = document.getElementById("chartSocFallback");
     if (!canvas) return;
 
-    if (!(bank > 0) || !Array.isArray(perDayNet)) {
+    if (!(bank > 0) || !Array.isArray(timeline?.soc)) {
       if (fallback) {
         canvas.style.display = "none";
         fallback.style.display = "";
@@ -500,13 +516,7 @@ afterDatasetsDraw(chart) {
       return;
     }
 
-    const soc = [];
-    let level = bank; // start at 100% usable in display unit
-    for (let i = 0; i < labels.length; i++) {
-      level += perDayNet[i] || 0;
-      const pct = Math.max(0, Math.min(100, (level / bank) * 100));
-      soc.push(+pct.toFixed(1));
-    }
+    const { labels, soc } = timeline;
 
     if (hasChart) {
       fallback.style.display = "none";
@@ -546,6 +556,209 @@ afterDatasetsDraw(chart) {
     }
   }
 
+  // ---------- Hourly SOC + power ----------
+  // Wh per 1-hour step equals average W (or A once divided by V)
+  function renderHourly({ hourly, hasChart, isAh, v }) {
+    const canvas = document.getElementById("chartHourly");
+    const fallback = document.getElementById("chartHourlyFallback");
+    if (!canvas) return;
+
+    const unit = isAh ? "A" : "W";
+    const toUnit = (wh) => (isAh ? wh / v : wh);
+    const steps = hourly.soc.length;
+    // Power during the hour ending at each point; the start point has none
+    const load = Array.from({ length: steps }, (_, i) => (i ? toUnit(hourly.loadWh[(i - 1) % 24]) : null));
+    const gen = Array.from({ length: steps }, (_, i) => (i ? toUnit(hourly.genWh[(i - 1) % 24]) : null));
+
+    if (hasChart) {
+      fallback.style.display = "none";
+      canvas.style.display = "";
+      destroyIfAny(canvas);
+
+      new Chart(canvas.getContext("2d"), {
+        type: "line",
+        data: {
+          labels: hourly.labels,
+          datasets: [
+            { label: "SOC (%)", data: hourly.soc, borderWidth: 2, pointRadius: 0, tension: 0.2, yAxisID: "y" },
+            { label: `Loads (${unit})`, data: load, borderWidth: 1, pointRadius: 0, stepped: true, yAxisID: "y1" },
+            { label: `Generation (${unit})`, data: gen, borderWidth: 1, pointRadius: 0, stepped: true, yAxisID: "y1" },
+          ],
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          scales: {
+            x: { grid: { display: false }, ticks: { maxTicksLimit: 12 } },
+            y: { min: 0, max: 100, title: { display: true, text: "State of Charge (%)" } },
+            y1: { beginAtZero: true, position: "right", grid: { display: false }, title: { display: true, text: isAh ? "Amps (A)" : "Watts (W)" } },
+          },
+          plugins: {
+            legend: { position: "top" },
+            tooltip: { mode: "index", intersect: false },
+          },
+        },
+      });
+    } else {
+      canvas.style.display = "none";
+      fallback.style.display = "";
+      const _fmt = window.fmt || ((x) => x);
+      const rows = hourly.labels.map((l, i) => `
+        <tr${i === hourly.minIdx ? ' class="danger"' : ""}>
+          <td>${escapeHtmlSafe(l)}</td>
+          <td style="text-align:right">${hourly.soc[i]}%</td>
+          <td style="text-align:right">${load[i] == null ? "" : _fmt(load[i])}</td>
+          <td style="text-align:right">${gen[i] == null ? "" : _fmt(gen[i])}</td>
+        </tr>`).join("");
+      fallback.innerHTML = `
+        <div class="muted" style="margin-bottom:8px">Chart library not found; showing data table instead.</div>
+        <div style="max-height:240px;overflow:auto">
+          <table style="width:100%;border-collapse:collapse">
+            <thead>
+              <tr>
+                <th style="text-align:left;padding:6px">Hour</th>
+                <th style="text-align:right;padding:6px">SOC</th>
+                <th style="text-align:right;padding:6px">Loads (${unit})</th>
+                <th style="text-align:right;padding:6px">Generation (${unit})</th>
+              </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+          </table>
+        </div>`;
+    }
+  }
+
+  // ---------- Range vs speed (Electric Range tab) ----------
+  window.renderRangeCurve = function ({ speeds, distances, perAh, best, speedLabel, distUnit }) {
+    const canvas = document.getElementById("chartRange");
+    const fallback = document.getElementById("chartRangeFallback");
+    if (!canvas || !Array.isArray(speeds)) return;
+    const _fmt = window.fmt || ((x) => x);
+    const labels = speeds.map((s) => _fmt(s));
+
+    if (typeof window.Chart !== "undefined") {
+      fallback.style.display = "none";
+      canvas.style.display = "";
+      destroyIfAny(canvas);
+
+      const bestMark = distances.map((d, i) => (i === best ? d : null));
+      new Chart(canvas.getContext("2d"), {
+        type: "line",
+        data: {
+          labels,
+          datasets: [
+            { label: `Range (${distUnit})`, data: distances, borderWidth: 2, pointRadius: 0, tension: 0.25, yAxisID: "y" },
+            { label: `${distUnit}/Ah`, data: perAh, borderWidth: 1, pointRadius: 0, tension: 0.25, yAxisID: "y1" },
+            {
+              label: `Best ${distUnit}/Ah`,
+              data: bestMark,
+              showLine: false,
+              pointRadius: 6,
+              pointHoverRadius: 8,
+              backgroundColor: "#ffae42",
+              borderColor: "#ffae42",
+              yAxisID: "y",
+            },
+          ],
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          scales: {
+            x: { grid: { display: false }, title: { display: true, text: `Speed (${speedLabel})` } },
+            y: { beginAtZero: true, title: { display: true, text: `Range (${distUnit})` } },
+            y1: { beginAtZero: true, position: "right", grid: { display: false }, title: { display: true, text: `${distUnit}/Ah` } },
+          },
+          plugins: {
+            legend: { position: "top" },
+            tooltip: { mode: "index", intersect: false },
+          },
+        },
+      });
+    } else {
+      canvas.style.display = "none";
+      fallback.style.display = "";
+      const rows = speeds.map((s, i) => `
+        <tr${i === best ? ' style="color:#ffae42"' : ""}>
+          <td>${_fmt(s)}</td>
+          <td style="text-align:right">${_fmt(distances[i])}</td>
+          <td style="text-align:right">${_fmt(perAh[i])}</td>
+        </tr>`).join("");
+      fallback.innerHTML = `
+        <div class="muted" style="margin-bottom:8px">Chart library not found; showing data table instead.</div>
+        <table style="width:100%;border-collapse:collapse">
+          <thead>
+            <tr>
+              <th style="text-align:left;padding:6px">Speed (${escapeHtmlSafe(speedLabel)})</th>
+              <th style="text-align:right;padding:6px">Range (${distUnit})</th>
+              <th style="text-align:right;padding:6px">${distUnit}/Ah</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>`;
+    }
+  };
+
+  // ---------- Scenario comparison: overlaid hourly SOC ----------
+  window.renderScenarioCompare = function ({ labels, series }) {
+    const canvas = document.getElementById("chartCompare");
+    const fallback = document.getElementById("chartCompareFallback");
+    if (!canvas || !Array.isArray(series)) return;
+    const _fmt = window.fmt || ((x) => x);
+
+    if (typeof window.Chart !== "undefined") {
+      fallback.style.display = "none";
+      canvas.style.display = "";
+      destroyIfAny(canvas);
+      new Chart(canvas.getContext("2d"), {
+        type: "line",
+        data: {
+          labels,
+          datasets: series.map((s) => ({
+            label: s.name,
+            data: s.soc,
+            borderWidth: 2,
+            pointRadius: 0,
+            tension: 0.2,
+          })),
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          scales: {
+            x: { grid: { display: false }, ticks: { maxTicksLimit: 12 } },
+            y: { min: 0, max: 100, title: { display: true, text: "SOC (%)" } },
+          },
+          plugins: {
+            legend: { position: "top" },
+            tooltip: { mode: "index", intersect: false },
+          },
+        },
+      });
+    } else {
+      // One row per day end (every 24 h) keeps the table readable
+      canvas.style.display = "none";
+      fallback.style.display = "";
+      const idx = labels.map((_, i) => i).filter((i) => i % 24 === 0);
+      const rows = idx.map((i) => `
+        <tr>
+          <td>${escapeHtmlSafe(labels[i])}</td>
+          ${series.map((s) => `<td style="text-align:right">${s.soc[i] != null ? _fmt(s.soc[i]) + "%" : "—"}</td>`).join("")}
+        </tr>`).join("");
+      fallback.innerHTML = `
+        <div class="muted" style="margin-bottom:8px">Chart library not found; showing data table instead.</div>
+        <table style="width:100%;border-collapse:collapse">
+          <thead>
+            <tr>
+              <th style="text-align:left;padding:6px">Time</th>
+              ${series.map((s) => `<th style="text-align:right;padding:6px">${escapeHtmlSafe(s.name)}</th>`).join("")}
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>`;
+    }
+  };
+
   // ---------- Fallback helpers ----------
   function theFallback(canvas, fallbackId, hasChart, onChart) {
     const fallback = document.getElementById(fallbackId);
@@ -12,14 +12,70 @@ const $$ = (sel, ctx = document) => Array.from(ctx.querySelectorAll(sel));
 const DEFAULTS = {
   chemistry: "LFP",
   dodByChem: { LFP: 88, AGM: 50, GEL: 55 },
+  peukertByChem: { LFP: 1.05, AGM: 1.15, GEL: 1.12 },
+  tempCoefByChem: { LFP: 0.5, AGM: 0.7, GEL: 0.6 }, // % capacity lost per °C below 25 °C
+  // Charge acceptance: bulk ceiling (C-rate), true SOC where absorption taper starts,
+  // and the C-rate still accepted just before full
+  chargeByChem: {
+    LFP: { maxC: 0.5, taperFrom: 0.95, endC: 0.05 },
+    AGM: { maxC: 0.2, taperFrom: 0.8, endC: 0.01 },
+    GEL: { maxC: 0.15, taperFrom: 0.75, endC: 0.01 },
+  },
   voltage: 12,
   reserve: 20,
   days: 2,
   invEff: 90,
   invStandby: 6,
+  invSearchW: 1, // power-save/search mode: pulses looking for a load
+  invSearchPct: 0,
+  invMode: "demand", // when the inverter is on: "demand" (while AC loads run), "always", "window"
+  invWindow: "7-23",
+  mainsV: 120,
+  mainsHz: 60,
   derate: 0,
+  ambientC: 25,
   actualBankAh: 100,  
+  bmsA: 100,
+  bmsSurgeA: 200,
 };
+// Common continuous ratings for inverter / main fuse recommendations
+const INVERTER_SIZES_W = [300, 600, 1000, 1200, 1500, 2000, 2500, 3000, 3500, 4000, 5000, 6000, 8000];
+// Battery module catalog (typical figures per module class; prices indicative USD)
+const BATTERY_MODULES = [
+  { id: "lfp-12-50", name: "LFP 12 V 50 Ah", chem: "LFP", v: 12, ah: 50, kg: 6, liters: 4.5, price: 260, maxSeries: 4, maxParallel: 4, maxA: 50, surgeA: 100 },
+  { id: "lfp-12-100", name: "LFP 12 V 100 Ah", chem: "LFP", v: 12, ah: 100, kg: 11, liters: 8.5, price: 450, maxSeries: 4, maxParallel: 4, maxA: 100, surgeA: 200 },
+  { id: "lfp-12-200", name: "LFP 12 V 200 Ah", chem: "LFP", v: 12, ah: 200, kg: 21, liters: 16.5, price: 800, maxSeries: 4, maxParallel: 4, maxA: 200, surgeA: 350 },
+  { id: "lfp-12-300", name: "LFP 12 V 300 Ah", chem: "LFP", v: 12, ah: 300, kg: 29, liters: 24, price: 1150, maxSeries: 4, maxParallel: 4, maxA: 200, surgeA: 350 },
+  { id: "lfp-24-100", name: "LFP 24 V 100 Ah", chem: "LFP", v: 24, ah: 100, kg: 20, liters: 16, price: 850, maxSeries: 2, maxParallel: 4, maxA: 100, surgeA: 200 },
+  { id: "lfp-24-200", name: "LFP 24 V 200 Ah", chem: "LFP", v: 24, ah: 200, kg: 40, liters: 32, price: 1600, maxSeries: 2, maxParallel: 4, maxA: 150, surgeA: 300 },
+  { id: "lfp-48-100", name: "LFP 48 V 100 Ah (rack)", chem: "LFP", v: 48, ah: 100, kg: 42, liters: 35, price: 1700, maxSeries: 1, maxParallel: 8, maxA: 100, surgeA: 200 },
+  { id: "agm-6-225", name: "AGM 6 V 225 Ah (GC2)", chem: "AGM", v: 6, ah: 225, kg: 30, liters: 11.6, price: 220, maxSeries: 8, maxParallel: 4, maxA: 450, surgeA: 900 },
+  { id: "agm-12-100", name: "AGM 12 V 100 Ah", chem: "AGM", v: 12, ah: 100, kg: 29, liters: 10.5, price: 260, maxSeries: 4, maxParallel: 4, maxA: 300, surgeA: 600 },
+  { id: "agm-12-200", name: "AGM 12 V 200 Ah (8D)", chem: "AGM", v: 12, ah: 200, kg: 58, liters: 21, price: 480, maxSeries: 4, maxParallel: 3, maxA: 500, surgeA: 1000 },
+  { id: "gel-12-100", name: "Gel 12 V 100 Ah", chem: "GEL", v: 12, ah: 100, kg: 31, liters: 10.5, price: 330, maxSeries: 4, maxParallel: 4, maxA: 200, surgeA: 400 },
+  { id: "gel-12-200", name: "Gel 12 V 200 Ah (8D)", chem: "GEL", v: 12, ah: 200, kg: 60, liters: 21, price: 600, maxSeries: 4, maxParallel: 3, maxA: 350, surgeA: 700 },
+];
+
+// ABYC conductor table: circular mils and 105 °C ampacity outside engine spaces
+const WIRE_GAUGES = [
+  { awg: "18", cm: 1620, mm2: 0.82, amps: 20 },
+  { awg: "16", cm: 2580, mm2: 1.31, amps: 25 },
+  { awg: "14", cm: 4110, mm2: 2.08, amps: 35 },
+  { awg: "12", cm: 6530, mm2: 3.31, amps: 45 },
+  { awg: "10", cm: 10380, mm2: 5.26, amps: 60 },
+  { awg: "8", cm: 16510, mm2: 8.37, amps: 80 },
+  { awg: "6", cm: 26240, mm2: 13.3, amps: 120 },
+  { awg: "4", cm: 41740, mm2: 21.2, amps: 160 },
+  { awg: "2", cm: 66360, mm2: 33.6, amps: 210 },
+  { awg: "1", cm: 83690, mm2: 42.4, amps: 245 },
+  { awg: "1/0", cm: 105600, mm2: 53.5, amps: 285 },
+  { awg: "2/0", cm: 133100, mm2: 67.4, amps: 330 },
+  { awg: "3/0", cm: 167800, mm2: 85.0, amps: 385 },
+  { awg: "4/0", cm: 211600, mm2: 107, amps: 445 },
+];
+// Loads held to the 3% drop limit; everything else gets 10%
+const CRITICAL_CATS = ["Nav/Comms", "Instruments", "Pumps"];
+const FUSE_SIZES_A = [30, 40, 50, 60, 70, 80, 100, 125, 150, 175, 200, 225, 250, 300, 325, 350, 400, 450, 500, 600];
 const CATS = [
   "Lights",
   "Nav/Comms",
@@ -29,6 +85,26 @@ const CATS = [
   "Galley",
   "Entertainment",
   "Misc",
+  "Deck", // appended last: share links store categories by index
+];
+
+// Time-of-day windows for the hourly simulation ("" = spread over 24 h)
+const SCHEDULES = [
+  { value: "", label: "Any time" },
+  { value: "8-18", label: "Daytime 08–18" },
+  { value: "18-23", label: "Evening 18–23" },
+  { value: "20-6", label: "Night 20–06" },
+  { value: "6-9", label: "Morning 06–09" },
+  { value: "7-8,12-13,18-19", label: "Mealtimes" },
+];
+// Default "Runs from" hour for sources that run a block of hours each day
+const GEN_START_HR = { Alternator: 9, "AC Charger": 18, "Fuel Cell": 22 };
+const GEN_TYPES = ["Solar", "Wind", "Alternator", "AC Charger", "Hydro", "Fuel Cell"];
+// Weather patterns: output multipliers (%) for Solar and Wind; defaults, editable per setup
+const WEATHER_PATTERNS = [
+  { id: "sunny", name: "Sunny", solarPct: 100, windPct: 100 },
+  { id: "overcast", name: "Overcast", solarPct: 35, windPct: 110 },
+  { id: "storm", name: "Storm", solarPct: 10, windPct: 130 },
 ];
 
 const LIB = [
@@ -46,8 +122,71 @@ const LIB = [
   libW("Microwave 900 W (10 min)", "Galley", 900, 0.17, 0, 100, 1, "AC"),
   libW("Coffee Maker 900 W (10 min)", "Galley", 900, 0.17, 0, 100, 1, "AC"),
   libA("Stereo (avg listening)", "Entertainment", 2.0, 6, 0, 100, 1, "DC"),
+
+  // Typical figures for common models; notes give the basis so they can be checked
+  // against the owner's own equipment. Hours are a cruising day (anchor / underway).
+  libW("Tricolor (LED masthead)", "Lights", 3, 0, 10, 100, 1, "DC", { notes: "LED tricolour/anchor combos draw 0.15–0.25 A." }),
+  libW("Cockpit Light (LED)", "Lights", 5, 3, 0, 100, 1, "DC", { sched: "18-23" }),
+  libW("Deck/Spreader Lights (LED pair)", "Lights", 40, 0.5, 0, 100, 1, "DC", { notes: "2 × 20 W LED floods; halogen pairs are 2 × 55 W." }),
+  libW("Underwater Lights (LED pair)", "Lights", 60, 2, 0, 100, 1, "DC", { sched: "18-23", notes: "Transom LEDs 20–40 W each." }),
+
+  libW("AIS Transponder (Class B)", "Nav/Comms", 4, 0, 12, 100, 1, "DC", { notes: "Class B SOTDMA units average 3–5 W (0.3–0.4 A)." }),
+  libW("AIS Receiver", "Nav/Comms", 1.5, 0, 12, 100, 1, "DC", { notes: "Receive-only units 1–2 W; many run 24 h for anchor watch." }),
+  libW("Radar — Radome 4 kW (transmit)", "Nav/Comms", 40, 0, 4, 100, 1, "DC", { notes: "18–24\" magnetron radomes: 30–45 W transmit, ~7 W standby." }),
+  libW("Radar — Solid-state Radome", "Nav/Comms", 20, 0, 4, 100, 1, "DC", { notes: "Broadband/solid-state domes (Halo20+, Quantum 2): 17–24 W transmit." }),
+  libW("Radar — Open Array", "Nav/Comms", 90, 0, 4, 100, 1, "DC", { surge: 2, notes: "4–6 kW open arrays: 70–150 W transmit incl. pedestal motor." }),
+  libW("Starlink Standard (AC PSU)", "Nav/Comms", 75, 8, 4, 100, 1, "AC", { notes: "Starlink quotes 50–75 W average; add inverter losses or use a DC conversion." }),
+  libW("Starlink Mini (DC)", "Nav/Comms", 30, 8, 4, 100, 1, "DC", { notes: "Starlink quotes 25–40 W average; 12–48 V DC / USB-C PD." }),
+  libW("Starlink Flat High Performance", "Nav/Comms", 110, 8, 4, 100, 1, "AC", { notes: "Starlink quotes 110–150 W average." }),
+  libW("4G/LTE Router & Booster", "Nav/Comms", 10, 8, 4, 100, 1, "DC", { notes: "Router 5–8 W plus booster/antenna amp 2–5 W." }),
+  libA("SSB/HF Radio (receive)", "Nav/Comms", 1.5, 1, 1, 100, 1, "DC", { notes: "Receive ~1.5 A; transmit 25–30 A while keyed (short sked)." }),
+  libW("Satellite Messenger/Hotspot", "Nav/Comms", 2, 0, 24, 100, 1, "DC", { notes: "Iridium GO!/inReach on USB: 1–3 W average incl. charging." }),
+
+  libA("Autopilot — Tiller Pilot (avg)", "Instruments", 0.7, 0, 12, 100, 1, "DC", { notes: "Tiller pilots: ~0.05 A standby, 0.5–1 A average in moderate seas." }),
+  libA("Autopilot — Wheel/Linear Drive (avg)", "Instruments", 3, 0, 12, 100, 1, "DC", { surge: 3, notes: "30–45 ft boats: 2–5 A average incl. course computer; peaks over 10 A." }),
+  libA("Autopilot — Hydraulic (avg)", "Instruments", 5, 0, 12, 100, 1, "DC", { surge: 3, notes: "Hydraulic pumps 4–8 A average on larger yachts; more in following seas." }),
+  libW("Wind Vane Instruments + Display", "Instruments", 3, 0, 12, 100, 1, "DC", { notes: "NMEA 2000 wind/speed/depth set incl. one display, 2–4 W." }),
+
+  libA("Bilge Pump 1100 gph", "Pumps", 4, 0.1, 0.1, 100, 1, "DC", { surge: 2, notes: "Runs only when water comes in; estimate cycles × minutes." }),
+  libA("Bilge Pump 2000 gph", "Pumps", 7, 0.05, 0.05, 100, 1, "DC", { surge: 2, notes: "Typical 12 V centrifugal; 6–8 A." }),
+  libA("Freshwater Pressure Pump", "Pumps", 5, 0.4, 0.2, 100, 1, "DC", { surge: 2, notes: "3–4 gpm diaphragm pumps 4–7 A; ~30 min/day for two people." }),
+  libA("Shower Sump Pump", "Pumps", 3, 0.1, 0, 100, 1, "DC"),
+  libA("Electric Toilet (macerator)", "Pumps", 15, 0.1, 0.05, 100, 1, "DC", { surge: 1.5, notes: "12–20 A; about 1 min per flush." }),
+  libA("Deck Washdown Pump", "Pumps", 6, 0.1, 0, 100, 1, "DC", { surge: 2 }),
+  libA("Watermaker 12 V (~25 L/h)", "Pumps", 10, 2, 0, 100, 1, "DC", { notes: "Spectra Ventura 150 ~8 A for 23 L/h; Schenker Smart 30 ~11 A. Hours = daily water ÷ output." }),
+  libW("Watermaker AC (~100 L/h)", "Pumps", 1500, 1, 0, 100, 1, "AC", { surge: 3, notes: "High-pressure AC units 1.1–2.2 kW; usually run with the generator." }),
+
+  libW("Windlass 1000 W", "Deck", 1000, 0.1, 0, 100, 1, "DC", { surge: 2, notes: "~85 A at 12 V under working load; 2–3 min per retrieval." }),
+  libW("Windlass 1500 W", "Deck", 1500, 0.1, 0, 100, 1, "DC", { surge: 2, notes: "~125 A at 12 V (~65 A at 24 V) under working load." }),
+  libW("Bow Thruster 3 kW", "Deck", 3000, 0.03, 0.03, 100, 1, "DC", { surge: 1.5, notes: "250–300 A at 12 V; a minute or two per manoeuvre." }),
+  libW("Bow Thruster 5 kW (24 V)", "Deck", 5000, 0.03, 0.03, 100, 1, "DC", { surge: 1.5, notes: "~230 A at 24 V; check the battery's surge rating." }),
+  libW("Electric Winch", "Deck", 700, 0, 0.1, 100, 1, "DC", { surge: 2, notes: "Size 40 electrics: 50–80 A at 12 V under load." }),
+
+  libW("Freezer 12 V (45 W @ 40% duty)", "Galley", 45, 24, 0, 40, 1, "DC", { notes: "Compressor freezers run 40–60% duty in the tropics." }),
+  libW("Induction Hob — single (avg)", "Galley", 1800, 0.75, 0, 60, 1, "AC", { notes: "1.8–2 kW max; cycles at mid settings, so ~60% average while cooking." }),
+  libW("Induction Hob — two-zone (avg)", "Galley", 3500, 0.75, 0, 40, 1, "AC", { notes: "Both zones rarely at full power together." }),
+  libW("Electric Kettle", "Galley", 1500, 0.1, 0, 100, 1, "AC", { notes: "About 4 min per 1 L boil." }),
+  libW("Pressure Cooker (Instant Pot)", "Galley", 1000, 0.5, 0, 50, 1, "AC", { notes: "Full power to pressure, then holds at low duty." }),
+  libW("Toaster", "Galley", 800, 0.1, 0, 100, 1, "AC"),
+  libW("Ice Maker", "Galley", 150, 24, 0, 30, 1, "AC"),
+
+  libW("Air Conditioning 16,000 BTU", "Comfort", 1600, 8, 0, 60, 1, "AC", { surge: 3, sched: "20-6", notes: "Self-contained units ~13 A @ 120 V running; soft starters cut the 3–4× start surge." }),
+  libW("Air Conditioning 6,000 BTU", "Comfort", 550, 8, 0, 60, 1, "AC", { surge: 3, sched: "20-6", notes: "Small cabin units 450–600 W running." }),
+  libA("Diesel Air Heater 2 kW", "Comfort", 1.3, 8, 0, 100, 1, "DC", { sched: "18-23", notes: "Webasto/Eberspächer 1–2 A running; glow plug 8–10 A for the first minutes." }),
+  libW("Dehumidifier", "Comfort", 200, 6, 0, 100, 1, "AC"),
+  libW("Hair Dryer", "Comfort", 1200, 0.1, 0, 100, 1, "AC"),
+  libW("Water Heater Element", "Comfort", 1000, 1, 0, 100, 1, "AC", { notes: "Calorifier immersion elements 750–1500 W; usually shore or generator only." }),
+
+  libW("TV 32\" LED (12 V)", "Entertainment", 30, 3, 0, 100, 1, "DC", { sched: "18-23" }),
+  libW("Streaming Box/Media Player", "Entertainment", 8, 3, 0, 100, 1, "DC", { sched: "18-23" }),
+
+  libW("Phone Charging (×2)", "Misc", 10, 3, 0, 100, 1, "DC"),
+  libW("Tablet Charging", "Misc", 15, 2, 0, 100, 1, "DC"),
+  libW("Tool Battery Charger", "Misc", 100, 1, 0, 100, 1, "AC"),
+  libW("Dive Compressor (electric)", "Misc", 3000, 0.5, 0, 100, 1, "AC", { surge: 3, notes: "Small electric compressors 2.2–4 kW; 20–30 min per tank." }),
 ];
-function libW(name, cat, watts, hA, hS, duty, qty, type) {
+// `extra` carries optional row fields (surge, sched) and source notes
+function libW(name, cat, watts, hA, hS, duty, qty, type, extra) {
   return {
     name,
     category: cat,
@@ -58,9 +197,10 @@ function libW(name, cat, watts, hA, hS, duty, qty, type) {
     hSail: hS,
     duty,
     qty,
+    ...extra,
   };
 }
-function libA(name, cat, amps, hA, hS, duty, qty, type) {
+function libA(name, cat, amps, hA, hS, duty, qty, type, extra) {
   return {
     name,
     category: cat,
@@ -71,6 +211,7 @@ function libA(name, cat, amps, hA, hS, duty, qty, type) {
     hSail: hS,
     duty,
     qty,
+    ...extra,
   };
 }
 
@@ -78,6 +219,13 @@ let state = {
   settings: { ...DEFAULTS },
   rows: [],
   gen: [],
+  legs: [],
+  modes: [], // user operating modes { id, name, kind } beyond Anchor/Underway
+  trip: [], // trip composition [{ mode, days }]; empty = typical day × Days
+  weather: [], // non-sunny trip days [{ day, pattern }] (day is 1-based)
+  wxPatterns: wxPatternsFrom(), // Solar/Wind multipliers per weather pattern
+  bankConfig: null, // { moduleId, series, parallel } chosen in the Bank Builder
+  scenarioId: null, // library entry last loaded or saved
   editId: null,
 };
 const newId = () => Math.random().toString(36).slice(2, 10);
@@ -94,20 +242,46 @@ const voltage = $("#voltage"),
   days = $("#days"),
   invEff = $("#invEff"),
   invStandby = $("#invStandby"),
+  invSearchW = $("#invSearchW"),
+  invSearchPct = $("#invSearchPct"),
+  invMode = $("#invMode"),
+  invWindow = $("#invWindow"),
+  mainsV = $("#mainsV"),
+  mainsHz = $("#mainsHz"),
   derate = $("#derate"),
-  actualBankAhEl = $("#actualBankAh");
+  peukert = $("#peukert"),
+  ambientC = $("#ambientC"),
+  actualBankAhEl = $("#actualBankAh"),
+  bmsA = $("#bmsA"),
+  bmsSurgeA = $("#bmsSurgeA");
+const bankVoltage = $("#bankVoltage"),
+  bankSort = $("#bankSort"),
+  bankBody = $("#bankBody");
+const genRun = $("#gen-run"),
+  genAwg = $("#gen-awg");
 const tbody = $("#tbody"),
-  libSelect = $("#libSelect");
+  libSearch = $("#libSearch"),
+  libResults = $("#libResults");
 const tabLoads = $("#tab-loads"),
   tabGen = $("#tab-gen"),
   tabReports = $("#tab-reports"),
   tabManual = $("#tab-manual"),
-  tabRange = $("#tab-range");
+  tabRange = $("#tab-range"),
+  tabPassage = $("#tab-passage"),
+  tabBank = $("#tab-bank"),
+  tabScenarios = $("#tab-scenarios"),
+  tabModes = $("#tab-modes"),
+  tabLibrary = $("#tab-library");
 const paneLoads = $("#pane-loads"),
   paneGen = $("#pane-gen"),
   paneReports = $("#pane-reports"),
   paneManual = $("#pane-manual"),
-  paneRange = $("#pane-range");
+  paneRange = $("#pane-range"),
+  panePassage = $("#pane-passage"),
+  paneBank = $("#pane-bank"),
+  paneScenarios = $("#pane-scenarios"),
+  paneModes = $("#pane-modes"),
+  paneLibrary = $("#pane-library");
 const genType = $("#gen-type"),
   genName = $("#gen-name"),
   genFields = $("#gen-fields"),
@@ -118,6 +292,24 @@ const genType = $("#gen-type"),
   genCancelBtn = $("#gen-cancel"),
   genEditingLabel = $("#gen-editing"),
   genBody = $("#genBody");
+const rangeBatteryAh = $("#batteryAh"),
+  rangeMotorDraw = $("#motorDraw"),
+  rangeSpeed = $("#speed"),
+  rangeSpeedUnit = $("#speedUnit"),
+  rangeChargerA = $("#chargerA"),
+  rangeUseCharger = $("#useCharger"),
+  rangeGenHours = $("#genHours"),
+  rangeResults = $("#results"),
+  propModel = $("#propModel"),
+  propPoints = $("#propPoints"),
+  propPointsNote = $("#propPointsNote"),
+  hullLwl = $("#hullLwl"),
+  hullDisp = $("#hullDisp"),
+  driveEff = $("#driveEff"),
+  hotelA = $("#hotelA");
+const legKind = $("#legKind"),
+  legBody = $("#legBody"),
+  passageSummary = $("#passageSummary");
 
 // Helpers exposed for reports.js fallbacks
 function escapeHtml(s = "") {
@@ -168,21 +360,42 @@ window.escapeHtml = escapeHtml;
 voltage.value = DEFAULTS.voltage;
 chemistry.value = DEFAULTS.chemistry;
 dod.value = DEFAULTS.dodByChem[DEFAULTS.chemistry];
+peukert.value = DEFAULTS.peukertByChem[DEFAULTS.chemistry];
 
 let manualDodChange = false;
+let manualPeukertChange = false;
 chemistry.addEventListener("change", () => {
   if (!manualDodChange) dod.value = DEFAULTS.dodByChem[chemistry.value] || 80;
+  if (!manualPeukertChange) peukert.value = DEFAULTS.peukertByChem[chemistry.value] || 1.1;
   recalc();
 });
 dod.addEventListener("input", () => {
   manualDodChange = true;
   recalc();
 });
+peukert.addEventListener("input", () => {
+  manualPeukertChange = true;
+  recalc();
+});
 
 
-[voltage, reserve, days, invEff, invStandby, derate, actualBankAhEl].forEach((el) =>
+days.addEventListener("input", pruneWeather); // before recalc autosaves
+[voltage, reserve, days, invEff, invStandby, invSearchW, invSearchPct, invMode, invWindow, mainsV, mainsHz, derate, ambientC, actualBankAhEl, bmsA, bmsSurgeA].forEach((el) =>
   el.addEventListener("input", recalc)
 );
+// 230 V grids are 50 Hz almost everywhere, 120 V mostly 60 Hz; the frequency stays editable
+mainsV.addEventListener("input", () => (mainsHz.value = mainsV.value === "230" ? 50 : 60));
+function syncInvWindow() {
+  const show = invMode.value === "window";
+  invWindow.closest(".pair").classList.toggle("hidden", !show);
+  $("#invWindowError").classList.toggle("hidden", !show || validSchedule(invWindow.value));
+}
+[invMode, invWindow].forEach((el) => el.addEventListener("input", syncInvWindow));
+// Hand edits to the bank no longer match a Bank Builder arrangement
+[actualBankAhEl, bmsA, bmsSurgeA].forEach((el) =>
+  el.addEventListener("input", () => (state.bankConfig = null))
+);
+voltage.addEventListener("input", () => (bankVoltage.value = voltage.value));
 
 $$('input[name="unitMode"]').forEach((r) =>
   r.addEventListener("change", (e) => {
@@ -193,32 +406,292 @@ $$('input[name="unitMode"]').forEach((r) =>
 );
 
 // Library & toolbar
+// Built-in LIB plus the user's own entries, persisted apart from scenarios
+const LIBRARY_KEY = "boatSizerLibrary";
+const LIBRARY_SCHEMA = "boat-battery-sizer/library";
+const LIB_FIELDS = ["name", "category", "type", "entry", "value", "hAnchor", "hSail", "duty", "qty", "sched", "surge"];
+let userLib = readLibrary();
+let libEditId = null;
+
+function readLibrary() {
+  try {
+    const list = JSON.parse(localStorage.getItem(LIBRARY_KEY) || "[]");
+    return Array.isArray(list) ? list : [];
+  } catch (e) {
+    console.warn("load library parse failed", e);
+    return [];
+  }
+}
+
+function writeLibrary() {
+  localStorage.setItem(LIBRARY_KEY, JSON.stringify(userLib));
+  refreshLib();
+  renderLibrary();
+}
+
+// Row-shaped copy of a library entry (or a load row) without ids/notes
+function libItemRow(it) {
+  return Object.fromEntries(LIB_FIELDS.filter((k) => it[k] != null).map((k) => [k, it[k]]));
+}
+
+// Searchable picker: every word must appear in the name, category or notes
+let libMatches = [],
+  libActive = 0;
 function refreshLib() {
-  libSelect.innerHTML = LIB.map(
-    (it, i) => `<option value="${i}">${escapeHtml(it.name)} — ${it.category}</option>`
-  ).join("");
+  const words = libSearch.value.toLowerCase().split(/\s+/).filter(Boolean);
+  const all = [
+    ...userLib.map((it) => ({ it, ref: `u:${it.id}`, mine: true })),
+    ...LIB.map((it, i) => ({ it, ref: `b:${i}`, mine: false })).sort(
+      (a, b) => CATS.indexOf(a.it.category) - CATS.indexOf(b.it.category)
+    ),
+  ];
+  libMatches = all.filter(({ it }) => {
+    const hay = `${it.name} ${it.category} ${it.notes || ""}`.toLowerCase();
+    return words.every((w) => hay.includes(w));
+  });
+  libActive = clamp(libActive, 0, Math.max(0, libMatches.length - 1));
+  libResults.innerHTML = libMatches.length
+    ? libMatches
+        .map(
+          ({ it, ref, mine }, i) => `<div class="opt${i === libActive ? " active" : ""}" role="option" data-ref="${ref}">
+          <div>${escapeHtml(it.name)} <span class="badge">${mine ? "Mine" : escapeHtml(it.category)}</span>
+            <span class="muted">${fmt(it.value)} ${it.entry}${it.type === "AC" ? " AC" : ""}</span></div>
+          ${it.notes ? `<div class="muted">${escapeHtml(it.notes)}</div>` : ""}
+        </div>`
+        )
+        .join("")
+    : `<div class="muted" style="padding: 6px 8px">No match — add it under Load Library.</div>`;
 }
+
+function pickFromLib(ref) {
+  const it = libraryItem(ref);
+  if (!it) return;
+  addRow(libItemRow(it));
+  toast(`Added “${it.name}”.`);
+  libSearch.value = "";
+  libResults.hidden = true;
+}
+
+function libraryItem(ref) {
+  const [kind, key] = String(ref).split(":");
+  return kind === "u" ? userLib.find((x) => x.id === key) : LIB[+key];
+}
+
+// Add, or update the entry with the same name
+function saveToLibrary(item) {
+  const existing = userLib.find((x) => x.name.toLowerCase() === item.name.toLowerCase());
+  if (existing) Object.assign(existing, item, { id: existing.id });
+  else userLib.push({ ...item, id: newId() });
+  writeLibrary();
+  return !!existing;
+}
+
+function readLibForm() {
+  return {
+    name: $("#lib-name").value.trim() || "New Load",
+    category: $("#lib-cat").value,
+    type: $("#lib-type").value,
+    entry: $("#lib-entry").value,
+    value: Math.max(0, num($("#lib-value").value)),
+    hAnchor: clamp(num($("#lib-hA").value), 0, 24),
+    hSail: clamp(num($("#lib-hS").value), 0, 24),
+    duty: clamp(num($("#lib-duty").value), 0, 100),
+    qty: Math.max(0, Math.round(num($("#lib-qty").value)) || 0),
+    sched: $("#lib-sched").value,
+    surge: Math.max(1, num($("#lib-surge").value) || 1),
+    notes: $("#lib-notes").value.trim(),
+  };
+}
+
+function fillLibForm(it) {
+  $("#lib-name").value = it.name || "";
+  $("#lib-cat").innerHTML = CATS.map((c) => `<option>${c}</option>`).join("");
+  $("#lib-cat").value = CATS.includes(it.category) ? it.category : CATS[0];
+  $("#lib-type").value = it.type || "DC";
+  $("#lib-entry").value = it.entry || "W";
+  $("#lib-value").value = it.value ?? 10;
+  $("#lib-hA").value = it.hAnchor ?? 0;
+  $("#lib-hS").value = it.hSail ?? 0;
+  $("#lib-duty").value = it.duty ?? 100;
+  $("#lib-qty").value = it.qty ?? 1;
+  $("#lib-sched").outerHTML = schedSelect(it.sched || "").replace("<select", '<select id="lib-sched"');
+  $("#lib-surge").value = it.surge ?? 1;
+  $("#lib-notes").value = it.notes || "";
+}
+
+function clearLibForm() {
+  libEditId = null;
+  $("#lib-editing").textContent = "";
+  $("#lib-update").style.display = "none";
+  $("#lib-cancel").style.display = "none";
+  $("#lib-add").style.display = "inline-block";
+  fillLibForm({});
+}
+
+function editLibItem(id) {
+  const it = userLib.find((x) => x.id === id);
+  if (!it) return;
+  libEditId = id;
+  $("#lib-add").style.display = "none";
+  $("#lib-update").style.display = "inline-block";
+  $("#lib-cancel").style.display = "inline-block";
+  $("#lib-editing").textContent = `Editing: ${it.name}`;
+  fillLibForm(it);
+}
+
+function renderLibrary() {
+  const line = (it, ref, builtIn) => `<tr data-ref="${ref}">
+      <td>${escapeHtml(it.name)}${builtIn ? ' <span class="badge">Built-in</span>' : ""}</td>
+      <td>${escapeHtml(it.category)}</td>
+      <td>${it.type}</td>
+      <td class="center">${fmt(it.value)} ${it.entry}</td>
+      <td class="center">${fmt(it.hAnchor || 0)} / ${fmt(it.hSail || 0)}</td>
+      <td class="center">${fmt(it.duty ?? 100)}</td>
+      <td class="muted">${escapeHtml(it.notes || "")}</td>
+      <td class="actions center"><span class="link" data-act="use">Add to loads</span> &nbsp;|&nbsp; ${
+        builtIn
+          ? `<span class="link" data-act="copy">Copy</span>`
+          : `<span class="link" data-act="edit">Edit</span> &nbsp;|&nbsp; <span class="link danger" data-act="del">Delete</span>`
+      }</td>
+    </tr>`;
+  $("#libBody").innerHTML =
+    userLib.map((it) => line(it, `u:${it.id}`, false)).join("") +
+    LIB.map((it, i) => line(it, `b:${i}`, true)).join("");
+}
+
+function showLibraryReport(title, errors) {
+  $("#libraryReport").innerHTML =
+    `<b>${escapeHtml(title)}</b>` +
+    (errors.length
+      ? `<div class="danger">Rejected fields — nothing was imported:</div><ul>${errors.map((x) => `<li>${escapeHtml(x)}</li>`).join("")}</ul>`
+      : "");
+  $("#libraryReport").style.display = errors.length ? "" : "none";
+}
+
+async function importLibraryJSON(file) {
+  let raw;
+  try {
+    raw = JSON.parse(await file.text());
+  } catch (e) {
+    showLibraryReport(file.name, [`Not valid JSON: ${e.message}`]);
+    return toast("Import failed.");
+  }
+  const items = Array.isArray(raw) ? raw : raw?.items;
+  const errors = [];
+  if (!Array.isArray(items)) errors.push("Expected a list of items.");
+  const clean = (items || []).map((it, i) => {
+    const out = {};
+    if (!it || typeof it !== "object") {
+      errors.push(`items[${i}]: expected an object`);
+      return out;
+    }
+    if (typeof it.name !== "string" || !it.name.trim()) errors.push(`items[${i}].name: missing`);
+    for (const k of LIB_FIELDS) {
+      if (it[k] == null) continue;
+      const res = checkField(SCENARIO_FIELDS.row[k], it[k]);
+      if (res.error) errors.push(`items[${i}].${k}: ${res.error}`);
+      else out[k] = res.value;
+    }
+    if (it.notes != null) out.notes = String(it.notes);
+    return out;
+  });
+  showLibraryReport(file.name, errors);
+  if (errors.length) return toast(`Import failed: ${errors.length} rejected field(s).`);
+  let updated = 0;
+  for (const it of clean) {
+    const existing = userLib.find((x) => x.name.toLowerCase() === it.name.toLowerCase());
+    if (existing) (Object.assign(existing, it), updated++);
+    else userLib.push({ ...it, id: newId() });
+  }
+  writeLibrary();
+  toast(`Imported ${clean.length} entr${clean.length === 1 ? "y" : "ies"} (${updated} updated).`);
+}
+
 refreshLib();
-$("#addFromLib").addEventListener("click", () => {
-  const i = +libSelect.value;
-  if (!isNaN(i)) addRow({ ...LIB[i] });
+renderLibrary();
+clearLibForm();
+libSearch.addEventListener("focus", () => {
+  refreshLib();
+  libResults.hidden = false;
+});
+libSearch.addEventListener("input", () => {
+  libActive = 0;
+  refreshLib();
+  libResults.hidden = false;
+});
+libSearch.addEventListener("keydown", (ev) => {
+  if (ev.key === "ArrowDown" || ev.key === "ArrowUp") {
+    ev.preventDefault();
+    libActive = clamp(libActive + (ev.key === "ArrowDown" ? 1 : -1), 0, libMatches.length - 1);
+    refreshLib();
+    $(".opt.active", libResults)?.scrollIntoView?.({ block: "nearest" });
+  } else if (ev.key === "Enter" && libMatches[libActive]) {
+    ev.preventDefault();
+    pickFromLib(libMatches[libActive].ref);
+  } else if (ev.key === "Escape") libResults.hidden = true;
+});
+libSearch.addEventListener("blur", () => (libResults.hidden = true));
+// mousedown fires before the input's blur hides the list
+libResults.addEventListener("mousedown", (ev) => {
+  const ref = ev.target.closest(".opt")?.dataset.ref;
+  if (!ref) return;
+  ev.preventDefault();
+  pickFromLib(ref);
+});
+$("#lib-add").addEventListener("click", () => {
+  const it = readLibForm();
+  toast(saveToLibrary(it) ? `Updated “${it.name}” in your library.` : `Added “${it.name}” to your library.`);
+  clearLibForm();
+});
+$("#lib-update").addEventListener("click", () => {
+  const it = userLib.find((x) => x.id === libEditId);
+  if (it) Object.assign(it, readLibForm());
+  writeLibrary();
+  clearLibForm();
+});
+$("#lib-cancel").addEventListener("click", clearLibForm);
+$("#libBody").addEventListener("click", (ev) => {
+  const act = ev.target?.dataset?.act;
+  const ref = ev.target.closest("tr")?.dataset.ref;
+  const it = ref && libraryItem(ref);
+  if (!act || !it) return;
+  if (act === "use") {
+    addRow(libItemRow(it));
+    toast(`Added “${it.name}” to loads.`);
+  } else if (act === "copy") {
+    saveToLibrary({ ...libItemRow(it), name: `${it.name} (mine)` });
+  } else if (act === "edit") editLibItem(it.id);
+  else if (act === "del" && confirm(`Delete “${it.name}” from your library?`)) {
+    userLib = userLib.filter((x) => x !== it);
+    if (libEditId === it.id) clearLibForm();
+    writeLibrary();
+  }
+});
+$("#exportLibrary").addEventListener("click", () => {
+  const file = { schema: LIBRARY_SCHEMA, version: 1, exported: new Date().toISOString(), items: userLib.map(({ id, ...it }) => it) };
+  const blob = new Blob([JSON.stringify(file, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = "load-library.json";
+  a.click();
+  URL.revokeObjectURL(url);
+});
+$("#importLibrary").addEventListener("click", () => $("#importLibraryFile").click());
+$("#importLibraryFile").addEventListener("change", (ev) => {
+  const file = ev.target.files[0];
+  ev.target.value = "";
+  if (file) importLibraryJSON(file);
 });
 $("#addRow").addEventListener("click", () => addRow());
 $("#exportCsv").addEventListener("click", exportCSV);
 $("#saveScenario").addEventListener("click", () => {
-  localStorage.setItem("boatSizerScenario", JSON.stringify(state));
-  toast("Scenario saved to this browser.");
-});
-$("#loadScenario").addEventListener("click", () => {
-  const raw = localStorage.getItem("boatSizerScenario");
-  if (!raw) return toast("No saved scenario found.");
-  try {
-    loadState(JSON.parse(raw));
-    toast("Scenario loaded.");
-  } catch (e) {
-    toast("Failed to load scenario.");
-  }
+  const current = readScenarios().find((sc) => sc.id === state.scenarioId);
+  if (current) return updateScenario(current.id);
+  const name = prompt("Scenario name", "My boat");
+  if (name != null) saveScenarioAs(name);
 });
+$("#loadScenario").addEventListener("click", () => setTab("scenarios"));
 $("#resetAll").addEventListener("click", () => {
   if (confirm("Clear all rows and reset settings?")) {
     localStorage.removeItem("boatSizerAutosaveV2");
@@ -226,6 +699,15 @@ $("#resetAll").addEventListener("click", () => {
     tbody.innerHTML = "";
     state.gen = [];
     genBody.innerHTML = "";
+    state.legs = [];
+    legBody.innerHTML = "";
+    state.modes = [];
+    state.trip = [];
+    state.weather = [];
+    state.wxPatterns = wxPatternsFrom();
+    renderModeTables();
+    state.bankConfig = null;
+    state.scenarioId = null;
     seedDefaults();
     setGenType("Solar");
     genName.value = "Solar: 200 W × 2";
@@ -238,12 +720,24 @@ $("#resetAll").addEventListener("click", () => {
     genQty.value = 1;
     onAddGen();
     voltage.value = 12;
+    bankVoltage.value = 12;
     chemistry.value = "LFP";
     dod.value = DEFAULTS.dodByChem["LFP"];
+    peukert.value = DEFAULTS.peukertByChem["LFP"];
+    ambientC.value = DEFAULTS.ambientC;
+    bmsA.value = DEFAULTS.bmsA;
+    bmsSurgeA.value = DEFAULTS.bmsSurgeA;
     reserve.value = 20;
     days.value = 2;
     invEff.value = 90;
     invStandby.value = 6;
+    invSearchW.value = DEFAULTS.invSearchW;
+    invSearchPct.value = DEFAULTS.invSearchPct;
+    invMode.value = DEFAULTS.invMode;
+    invWindow.value = DEFAULTS.invWindow;
+    invMode.dispatchEvent(new Event("input"));
+    mainsV.value = DEFAULTS.mainsV;
+    mainsHz.value = DEFAULTS.mainsHz;
     derate.value = 0;
     unitMode = "Ah";
     window.unitMode = unitMode;
@@ -264,13 +758,24 @@ function setTab(which) {
   set(tabGen, paneGen, which === "gen");
   set(tabReports, paneReports, which === "reports");
   set(tabRange, paneRange, which === "range");
+  set(tabModes, paneModes, which === "modes");
+  set(tabPassage, panePassage, which === "passage");
+  set(tabBank, paneBank, which === "bank");
+  set(tabLibrary, paneLibrary, which === "library");
+  set(tabScenarios, paneScenarios, which === "scenarios");
   set(tabManual, paneManual, which === "manual");
-  if (which === "reports") recalc(); // ensure charts render when coming to reports
+  if (which === "modes") renderModeTables(); // load names/hours may have changed on the Loads tab
+  if (which === "reports" || which === "scenarios" || which === "modes") recalc(); // ensure charts render when coming to reports
 }
 tabLoads.addEventListener("click", () => setTab("loads"));
 tabGen.addEventListener("click", () => setTab("gen"));
 tabReports.addEventListener("click", () => setTab("reports"));
 tabRange.addEventListener("click", () => setTab("range"));
+tabModes.addEventListener("click", () => setTab("modes"));
+tabPassage.addEventListener("click", () => setTab("passage"));
+tabBank.addEventListener("click", () => setTab("bank"));
+tabLibrary.addEventListener("click", () => setTab("library"));
+tabScenarios.addEventListener("click", () => setTab("scenarios"));
 tabManual.addEventListener("click", () => setTab("manual"));
 
 // Rows
@@ -286,6 +791,11 @@ function addRow(row) {
       hSail: 0,
       duty: 100,
       qty: 1,
+      sched: "",
+      group: "",
+      surge: 1,
+      runFt: 0,
+      awg: "",
     },
     row || {}
   );
@@ -311,9 +821,14 @@ function addRow(row) {
     <td><input type="number" step="0.1" class="number" aria-label="Hours Underway" value="${r.hSail}"/></td>
     <td><input type="number" step="1" class="qty" aria-label="Duty %" value="${r.duty}"/></td>
     <td><input type="number" step="1" class="qty" aria-label="Qty" value="${r.qty}"/></td>
-    <td class="center"><button title="Delete" aria-label="Delete row">✕</button></td>`;
+    <td>${schedSelect(r.sched)}</td>
+    <td><input class="qty" aria-label="Group" placeholder="—" value="${escapeAttr(r.group)}"/></td>
+    <td><input type="number" min="1" step="0.5" class="qty" aria-label="Surge multiplier" value="${r.surge}"/></td>
+    <td><input type="number" min="0" step="1" class="qty" aria-label="Run length (ft)" value="${r.runFt}"/></td>
+    <td>${gaugeSelect(r.awg)}</td>
+    <td class="center"><button title="Delete" aria-label="Delete row">✕</button> <button title="Save to library" aria-label="Save row to library">☆</button></td>`;
   tbody.appendChild(tr);
-  const [iName, iCat, iType, iEntry, iVal, iHA, iHS, iDuty, iQty, iDel] = [
+  const [iName, iCat, iType, iEntry, iVal, iHA, iHS, iDuty, iQty, iSched, iGroup, iSurge, iRun, iAwg, iDel] = [
     tr.children[0].firstElementChild,
     tr.children[1].firstElementChild,
     tr.children[2].firstElementChild,
@@ -324,22 +839,36 @@ function addRow(row) {
     tr.children[7].firstElementChild,
     tr.children[8].firstElementChild,
     tr.children[9].firstElementChild,
+    tr.children[10].firstElementChild,
+    tr.children[11].firstElementChild,
+    tr.children[12].firstElementChild,
+    tr.children[13].firstElementChild,
+    tr.children[14].firstElementChild,
   ];
   const sync = () => {
     r.name = iName.value;
     r.category = iCat.value;
     r.type = iType.value;
     r.entry = iEntry.value;
-    r.value = num(iVal.value);
-    r.hAnchor = num(iHA.value);
-    r.hSail = num(iHS.value);
+    r.value = clamp(num(iVal.value), 0, 1e6);
+    r.hAnchor = clamp(num(iHA.value), 0, 24);
+    r.hSail = clamp(num(iHS.value), 0, 24);
     r.duty = clamp(num(iDuty.value), 0, 100);
-    r.qty = Math.max(0, Math.round(num(iQty.value)) || 0);
+    r.qty = clamp(Math.round(num(iQty.value)) || 0, 0, 1000);
+    r.sched = iSched.value;
+    r.group = iGroup.value.trim();
+    r.surge = clamp(num(iSurge.value) || 1, 1, 20);
+    r.runFt = clamp(num(iRun.value), 0, 1000);
+    r.awg = iAwg.value;
     recalc();
   };
-  [iName, iCat, iType, iEntry, iVal, iHA, iHS, iDuty, iQty].forEach((el) =>
+  [iName, iCat, iType, iEntry, iVal, iHA, iHS, iDuty, iQty, iSched, iGroup, iSurge, iRun, iAwg].forEach((el) =>
     el.addEventListener("input", sync)
   );
+  tr.children[14].lastElementChild.addEventListener("click", () => {
+    const updated = saveToLibrary(libItemRow(r));
+    toast(updated ? `Updated “${r.name}” in your library.` : `Saved “${r.name}” to your library.`);
+  });
   iDel.addEventListener("click", () => {
     state.rows = state.rows.filter((x) => x !== r);
     tr.remove();
@@ -352,6 +881,296 @@ function catSelect(val) {
     (c) => `<option ${c === val ? "selected" : ""}>${c}</option>`
   ).join("")}</select>`;
 }
+function gaugeSelect(val = "") {
+  return `<select aria-label="AWG">${gaugeOptions(val)}</select>`;
+}
+function gaugeOptions(val = "") {
+  return [`<option value="">—</option>`, ...WIRE_GAUGES.map(
+    (g) => `<option value="${g.awg}" ${g.awg === val ? "selected" : ""}>${g.awg}</option>`
+  )].join("");
+}
+function schedSelect(val = "") {
+  const opts = SCHEDULES.some((x) => x.value === val)
+    ? SCHEDULES
+    : [...SCHEDULES, { value: val, label: `Custom ${val}` }];
+  return `<select aria-label="When">${opts
+    .map((o) => `<option value="${escapeAttr(o.value)}" ${o.value === val ? "selected" : ""}>${escapeHtml(o.label)}</option>`)
+    .join("")}</select>`;
+}
+
+// Solar yield model (offline): extraterrestrial daily irradiation for the site and
+// month, scaled by a clearness index, transposed to the panel tilt (isotropic sky,
+// panel facing the equator), then shading. Result is peak sun hours (kWh/m²/day).
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+const MONTH_MID_DAY = [17, 47, 75, 105, 135, 162, 198, 228, 258, 288, 318, 344];
+// Annual-typical clearness index per cruising ground (ratio of ground to extraterrestrial)
+const SOLAR_GROUNDS = [
+  { name: "Caribbean (Lesser Antilles)", lat: 15, kt: 0.58 },
+  { name: "Bahamas / Florida", lat: 25, kt: 0.55 },
+  { name: "US East Coast (Chesapeake)", lat: 38, kt: 0.5 },
+  { name: "New England / Maine", lat: 43, kt: 0.47 },
+  { name: "Pacific Northwest", lat: 48, kt: 0.42 },
+  { name: "Sea of Cortez / Pacific Mexico", lat: 24, kt: 0.63 },
+  { name: "Mediterranean", lat: 38, kt: 0.58 },
+  { name: "Canaries / Madeira", lat: 29, kt: 0.6 },
+  { name: "UK & Channel", lat: 50, kt: 0.42 },
+  { name: "Baltic / Scandinavia", lat: 58, kt: 0.42 },
+  { name: "French Polynesia / Tonga", lat: -17, kt: 0.52 },
+  { name: "Queensland / Great Barrier Reef", lat: -20, kt: 0.58 },
+  { name: "New Zealand (North Island)", lat: -36, kt: 0.5 },
+];
+const SOLAR_CONST_KW = 1.367;
+const SEA_ALBEDO = 0.1;
+const PWM_FACTOR = 0.75; // battery-voltage clamp on 36-cell panels (≈13.5 V of 18 V Vmp)
+const PANEL_TEMP_COEF = 0.4; // % power per °C above 25 °C cell temperature
+const PANEL_TEMP_RISE = 25; // cell above air at working irradiance
+
+let solarSiteUsed = false; // the estimator filled this entry's sun hours
+
+// Declination and sunset hour angle for the site/month. Southern latitudes are mirrored
+// (|lat|, −declination) so "facing the equator" works in both hemispheres.
+function solarGeometry(lat, month) {
+  const n = MONTH_MID_DAY[month] ?? 172;
+  const rad = Math.PI / 180;
+  const decl = 23.45 * Math.sin(rad * ((360 * (284 + n)) / 365)) * (lat < 0 ? -1 : 1);
+  const phi = Math.abs(lat) * rad,
+    d = decl * rad;
+  const ws = Math.acos(clamp(-Math.tan(phi) * Math.tan(d), -1, 1));
+  return { n, phi, d, ws, dayHours: (2 * ws) / (15 * rad) };
+}
+
+function solarPeakSunHours({ lat, month, kt, tilt = 0, shadePct = 0 }) {
+  const { n, phi, d, ws } = solarGeometry(lat, month);
+  const beta = (clamp(tilt, 0, 90) * Math.PI) / 180;
+  const horizGeom = Math.cos(phi) * Math.cos(d) * Math.sin(ws) + ws * Math.sin(phi) * Math.sin(d);
+  const h0 = (24 / Math.PI) * SOLAR_CONST_KW * (1 + 0.033 * Math.cos((2 * Math.PI * n) / 365)) * horizGeom;
+  const horiz = Math.max(0, h0 * kt);
+  // Beam ratio for an equator-facing tilt (Liu–Jordan), diffuse fraction from the clearness
+  const wsT = Math.min(ws, Math.acos(clamp(-Math.tan(phi - beta) * Math.tan(d), -1, 1)));
+  const tiltGeom = Math.cos(phi - beta) * Math.cos(d) * Math.sin(wsT) + wsT * Math.sin(phi - beta) * Math.sin(d);
+  const rb = horizGeom > 0 ? Math.max(0, tiltGeom / horizGeom) : 0;
+  const diffuse = clamp(1.39 - 4.027 * kt + 5.531 * kt ** 2 - 3.108 * kt ** 3, 0, 1);
+  const tilted =
+    horiz * ((1 - diffuse) * rb + (diffuse * (1 + Math.cos(beta))) / 2 + (SEA_ALBEDO * (1 - Math.cos(beta))) / 2);
+  return { h0, horiz, tilted, psh: tilted * (1 - clamp(shadePct, 0, 100) / 100) };
+}
+
+// Crystalline panels lose ~0.4 %/°C of cell temperature above 25 °C (negative = cold gain)
+function panelHeatLossPct(airC) {
+  return Math.max(-10, PANEL_TEMP_COEF * (airC + PANEL_TEMP_RISE - 25));
+}
+
+// "−4% heat loss" when warm, "+2% cold gain" below the 25 °C rating
+function panelTempText(airC) {
+  const loss = panelHeatLossPct(airC);
+  return loss >= 0 ? `−${fmt(loss)}% heat loss` : `+${fmt(-loss)}% cold gain`;
+}
+
+// PWM pins the panel to battery voltage, so neither the Vmp surplus nor heat losses apply
+function solarOutputFactor(e) {
+  if (e.ctrlType === "PWM") return PWM_FACTOR;
+  return e.airC != null ? 1 - panelHeatLossPct(e.airC) / 100 : 1;
+}
+
+function readSolarSite() {
+  return {
+    siteLat: clamp(num($("#est-lat").value), -66, 66),
+    siteMonth: clamp(Math.round(num($("#est-month").value)), 0, 11),
+    siteKt: clamp(num($("#est-kt").value) || 0.5, 0.1, 0.8),
+    siteTilt: clamp(num($("#est-tilt").value), 0, 90),
+    siteShadePct: clamp(num($("#est-shade").value), 0, 100),
+  };
+}
+
+function fillSolarEstimate() {
+  const site = readSolarSite();
+  const est = solarPeakSunHours({
+    lat: site.siteLat,
+    month: site.siteMonth,
+    kt: site.siteKt,
+    tilt: site.siteTilt,
+    shadePct: site.siteShadePct,
+  });
+  const hours = +est.psh.toFixed(1);
+  $("#field-sun").value = hours;
+  genHours.value = hours;
+  solarSiteUsed = true;
+  const air = num($("#field-air").value);
+  $("#est-note").textContent =
+    `Above atmosphere ${fmt(est.h0)} kWh/m² → horizontal ${fmt(est.horiz)} → at ${fmt(site.siteTilt)}° ${fmt(est.tilted)}` +
+    ` → ${fmt(hours)} sun hours after ${fmt(site.siteShadePct)}% shading. ` +
+    ($("#field-ctrltype").value === "PWM"
+      ? `PWM harvests about ${fmt(PWM_FACTOR * 100)}% of rated watts.`
+      : `Cells ~${fmt(air + PANEL_TEMP_RISE)} °C → ${panelTempText(air)}.`);
+}
+
+// Wind power-curve model: expected output = ∫ P(v)·f(v) dv, with P(v) interpolated from
+// the manufacturer's curve and f(v) a Weibull distribution scaled to the average wind
+// speed (shape k = 2 is the Rayleigh case). Speeds are in knots, apparent at the rotor.
+// Presets are read off published curves and rounded; check them against your model's datasheet.
+const WIND_PRESETS = [
+  { name: "Air Breeze / Air 40 (400 W)", curve: [[0, 0], [7, 0], [10, 15], [15, 60], [20, 150], [25, 260], [30, 330], [35, 360]] },
+  { name: "Silentwind 400+", curve: [[0, 0], [5, 0], [8, 10], [10, 25], [15, 95], [20, 220], [25, 380], [30, 420], [40, 420]] },
+  { name: "Superwind 350", curve: [[0, 0], [6, 0], [10, 25], [15, 85], [20, 190], [25, 310], [30, 350], [40, 350]] },
+  { name: "Eclectic D400", curve: [[0, 0], [5, 0], [8, 15], [10, 35], [15, 130], [20, 270], [25, 420], [30, 500], [40, 500]] },
+  { name: "Rutland 504", curve: [[0, 0], [5, 0], [10, 12], [15, 40], [20, 75], [25, 100], [30, 110], [40, 110]] },
+  { name: "Rutland 1200", curve: [[0, 0], [5, 0], [10, 35], [15, 120], [20, 250], [25, 400], [30, 480], [40, 480]] },
+];
+
+function curveText(curve) {
+  return curve.map(([kn, w]) => `${kn}:${w}`).join(", ");
+}
+
+// "7:0, 10:15, 15:60" → [[7,0],[10,15],[15,60]] sorted by speed; null when unreadable
+// null unless every point is a speed:watts pair within the limits scenario files accept
+function parseCurve(text) {
+  const [, maxKn, maxW] = SCENARIO_FIELDS.gen.curve;
+  const pts = String(text)
+    .split(/[,;\n]+/)
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((s) => s.split(/\s*[:=]\s*|\s+/).map(Number));
+  if (!pts.length || pts.some((p) => p.length !== 2 || p.some((x) => !Number.isFinite(x) || x < 0))) return null;
+  if (pts.some(([kn, w]) => kn > maxKn || w > maxW)) return null;
+  return pts.sort((a, b) => a[0] - b[0]);
+}
+
+function curveHint(example) {
+  const [, maxKn, maxW] = SCENARIO_FIELDS.gen.curve;
+  return `Enter the curve as speed:watts pairs, e.g. ${example} (up to ${maxKn} kn and ${fmt(maxW)} W).`;
+}
+
+// Linear between points; zero below the first point, flat (furled/regulated) above the last
+function curveW(curve, kn) {
+  if (!curve.length || kn < curve[0][0]) return 0;
+  for (let i = 1; i < curve.length; i++) {
+    const [k0, w0] = curve[i - 1],
+      [k1, w1] = curve[i];
+    if (kn <= k1) return k1 === k0 ? w1 : w0 + ((w1 - w0) * (kn - k0)) / (k1 - k0);
+  }
+  return curve[curve.length - 1][1];
+}
+
+// Lanczos approximation, good to ~1e-10 for the 1 < x < 2 used here
+function gammaFn(x) {
+  const g = 7,
+    c = [
+      0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+      12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7,
+    ];
+  x -= 1;
+  let a = c[0];
+  for (let i = 1; i < g + 2; i++) a += c[i] / (x + i);
+  const t = x + g + 0.5;
+  return Math.sqrt(2 * Math.PI) * t ** (x + 0.5) * Math.exp(-t) * a;
+}
+
+function windMeanW({ curve = [], avgKn = 0, weibullK = 2 }) {
+  if (!(avgKn > 0) || !curve.length) return 0;
+  const k = weibullK || 2;
+  const scale = avgKn / gammaFn(1 + 1 / k);
+  const top = Math.max(curve[curve.length - 1][0], avgKn * 4);
+  const step = 0.1;
+  let sum = 0;
+  for (let v = step / 2; v < top; v += step) {
+    const pdf = (k / scale) * (v / scale) ** (k - 1) * Math.exp(-((v / scale) ** k));
+    sum += curveW(curve, v) * pdf * step;
+  }
+  // Time spent above the last sampled speed sits at the curve's final output
+  return sum + curveW(curve, top) * Math.exp(-((top / scale) ** k));
+}
+
+function syncWindFields() {
+  const model = $("#field-windmodel").value;
+  $$(".wind-curve").forEach((el) => el.classList.toggle("hidden", model === "cf"));
+  $$(".wind-cf").forEach((el) => el.classList.toggle("hidden", model !== "cf"));
+  const note = $("#wind-note");
+  if (model === "cf") {
+    note.classList.remove("danger");
+    note.textContent = "Fixed fraction of rated power; pick a turbine instead to derive it from average wind.";
+    return;
+  }
+  const curve = parseCurve($("#field-curve").value);
+  note.classList.toggle("danger", !curve);
+  if (!curve) {
+    note.textContent = curveHint("10:25, 15:95, 20:220");
+    return;
+  }
+  const meanW = windMeanW({ curve, avgKn: num($("#field-avgkn").value), weibullK: num($("#field-weibull").value) });
+  const peak = Math.max(...curve.map((p) => p[1]));
+  note.textContent =
+    `Average output ${fmt(meanW)} W (≈ ${fmt(meanW * 24)} Wh/day per unit)` +
+    (peak > 0 ? `, capacity factor ${fmt((meanW / peak) * 100)}%.` : ".");
+}
+
+// Towed/transom hydro generators: output follows boat speed through the water (knots → W).
+// Only produce while sailing; curves rounded from published charts.
+const HYDRO_PRESETS = [
+  { name: "Watt&Sea Cruising 300", curve: [[0, 0], [3, 0], [4, 25], [5, 60], [6, 110], [7, 170], [8, 230], [9, 280], [10, 300], [15, 300]] },
+  { name: "Watt&Sea Cruising 600", curve: [[0, 0], [3, 0], [4, 35], [5, 90], [6, 170], [7, 260], [8, 360], [9, 450], [10, 520], [12, 600], [15, 600]] },
+  { name: "Eclectic Sail-Gen", curve: [[0, 0], [2, 0], [3, 15], [4, 35], [5, 60], [6, 85], [7, 110], [8, 140], [9, 165], [12, 200]] },
+];
+
+// Methanol fuel cells: fixed DC output while running; fuel in litres per kWh delivered
+const FUEL_CELL_PRESETS = [
+  { name: "EFOY Comfort 80", outW: 40, fuelLPerKWh: 0.9 },
+  { name: "EFOY Comfort 140", outW: 72, fuelLPerKWh: 0.9 },
+  { name: "EFOY Comfort 210", outW: 105, fuelLPerKWh: 0.9 },
+];
+
+function fuelCellLDay(e, V) {
+  return e.type === "Fuel Cell" ? (genEntryWh(e, V) / 1000) * (e.fuelLPerKWh ?? 0) : 0;
+}
+
+// Engine alternator: nameplate amps are a cold, full-speed figure. Output follows alternator
+// shaft RPM (engine RPM × pulley ratio) along a typical curve, then loses the hot derate.
+// An optional DC-DC charger caps what reaches the bank (protects the alternator on LFP).
+const ALT_RPM_CURVE = [[0, 0], [1000, 0], [1500, 0.2], [2000, 0.45], [3000, 0.75], [4000, 0.9], [5000, 0.97], [6000, 1]];
+
+// DC amps delivered to the bank; entries without an alternator rating keep their fixed dcAmps
+function alternatorA(e) {
+  if (e.altRatedA == null) return e.dcAmps || 0;
+  const altA =
+    e.altRatedA * curveW(ALT_RPM_CURVE, (e.engineRpm || 0) * (e.pulleyRatio || 0)) * (1 - (e.hotDeratePct || 0) / 100);
+  return e.dcdc ? Math.min(e.dcdcLimitA || 0, altA * ((e.dcdcEffPct ?? 100) / 100)) : altA;
+}
+
+// Motor-leg hours in the passage plan, spread across the trip days
+// Motor-leg hours per day the engine runs: spread over Days for the typical day, or over
+// the motoring days of a composed trip (the only days alternators charge). Capped at a
+// full day, like the hourly profile runWindow builds from it.
+function passageMotorHoursDay() {
+  const h = state.legs.filter((l) => l.kind === "motor").reduce((a, l) => a + (l.hours || 0), 0);
+  const engineDays = state.trip.length
+    ? tripDays().filter((d) => d.kinds?.includes("motor")).length
+    : state.settings.days || 1;
+  return clamp(h / Math.max(1, engineDays), 0, 24);
+}
+
+function alternatorHours(e) {
+  return clamp(e.hoursFrom === "passage" ? passageMotorHoursDay() : e.hours || 0, 0, 24);
+}
+
+function syncAltFields() {
+  const fixed = $("#field-altmodel").value === "fixed";
+  $$(".alt-model").forEach((el) => el.classList.toggle("hidden", fixed));
+  $$(".alt-fixed").forEach((el) => el.classList.toggle("hidden", !fixed));
+  $$(".alt-dcdc").forEach((el) => el.classList.toggle("hidden", fixed || !$("#field-dcdc").checked));
+  const fromPassage = $("#field-althours").value === "passage";
+  genHours.disabled = fromPassage;
+  if (fromPassage) genHours.value = +passageMotorHoursDay().toFixed(2);
+  const e = readGenForm();
+  const a = alternatorA(e);
+  const lfpRaw = !fixed && !e.dcdc && state.settings.chemistry === "LFP";
+  $("#alt-note").textContent =
+    (fixed
+      ? ""
+      : `Alternator at ${fmt(e.engineRpm * e.pulleyRatio)} rpm → ${fmt(a)} A to the bank` +
+        (e.dcdc && a >= e.dcdcLimitA ? " (DC-DC limit)" : "") +
+        ". ") +
+    (fromPassage ? `Motor legs give ${fmt(alternatorHours(e))} h/day over ${state.settings.days} days. ` : "") +
+    (lfpRaw ? "LFP bank: a standard alternator can run flat-out into lithium and overheat — consider a DC-DC charger." : "");
+}
 
 // Generation form & list
 function setGenType(type) {
@@ -359,33 +1178,144 @@ function setGenType(type) {
   renderGenFields(type);
 }
 function renderGenFields(type) {
+  genHours.disabled = false;
   if (type === "Solar") {
     genFields.innerHTML = `
       <div class="pair"><label for="field-panelW">Panel wattage (W)</label><input id="field-panelW" type="number" min="0" step="1" value="200"></div>
       <div class="pair"><label for="field-panels"># of panels</label><input id="field-panels" type="number" min="1" step="1" value="2"></div>
       <div class="pair"><label for="field-sun">Sun hours (h/day)</label><input id="field-sun" type="number" min="0" step="0.1" value="4.5"></div>
       <div class="pair"><label for="field-derate">Derate (%)</label><input id="field-derate" type="number" min="0" max="100" step="1" value="15"></div>
-      <div class="pair"><label for="field-ctrl">Controller eff (%)</label><input id="field-ctrl" type="number" min="0" max="100" step="1" value="96"></div>`;
+      <div class="pair"><label for="field-ctrl">Controller eff (%)</label><input id="field-ctrl" type="number" min="0" max="100" step="1" value="96"></div>
+      <div class="pair"><label for="field-ctrltype">Controller</label><select id="field-ctrltype"><option>MPPT</option><option>PWM</option></select></div>
+      <div class="pair"><label for="field-air">Air temp (°C)</label><input id="field-air" type="number" min="-30" max="60" step="1" value="25"></div>
+      <details id="solarEst" style="margin-top: 8px">
+        <summary>Estimate sun hours from location &amp; season</summary>
+        <div class="pair"><label for="est-ground">Cruising ground</label><select id="est-ground">${SOLAR_GROUNDS.map(
+          (g, i) => `<option value="${i}">${escapeHtml(g.name)}</option>`
+        ).join("")}<option value="">Custom</option></select></div>
+        <div class="pair"><label for="est-lat">Latitude (°, S negative)</label><input id="est-lat" type="number" min="-66" max="66" step="0.5" value="${SOLAR_GROUNDS[0].lat}"></div>
+        <div class="pair"><label for="est-month">Month</label><select id="est-month">${MONTHS.map(
+          (m, i) => `<option value="${i}" ${i === new Date().getMonth() ? "selected" : ""}>${m}</option>`
+        ).join("")}</select></div>
+        <div class="pair"><label for="est-kt">Clearness (0.2 overcast – 0.7 clear)</label><input id="est-kt" type="number" min="0.1" max="0.8" step="0.01" value="${SOLAR_GROUNDS[0].kt}"></div>
+        <div class="pair"><label for="est-tilt">Panel tilt (°, 0 = flat)</label><input id="est-tilt" type="number" min="0" max="90" step="1" value="0"></div>
+        <div class="pair"><label for="est-shade">Shading (%)</label><input id="est-shade" type="number" min="0" max="100" step="1" value="10"></div>
+        <button type="button" id="est-run">Fill sun hours</button>
+        <div id="est-note" class="note"></div>
+      </details>`;
     genHours.value = 4.5;
+    solarSiteUsed = false;
+    $("#est-ground").addEventListener("input", () => {
+      const g = SOLAR_GROUNDS[$("#est-ground").value];
+      if (g) ($("#est-lat").value = g.lat), ($("#est-kt").value = g.kt);
+    });
+    [$("#est-lat"), $("#est-kt")].forEach((el) => el.addEventListener("input", () => ($("#est-ground").value = "")));
+    $("#est-run").addEventListener("click", fillSolarEstimate);
   }
   if (type === "Wind") {
     genFields.innerHTML = `
-      <div class="pair"><label for="field-rated">Rated power (W)</label><input id="field-rated" type="number" min="0" step="1" value="400"></div>
-      <div class="pair"><label for="field-cf">Capacity factor (%)</label><input id="field-cf" type="number" min="0" max="100" step="1" value="20"></div>`;
+      <div class="pair"><label for="field-windmodel">Turbine</label><select id="field-windmodel">${WIND_PRESETS.map(
+        (p) => `<option>${escapeHtml(p.name)}</option>`
+      ).join("")}<option value="custom">Custom power curve</option><option value="cf">Capacity factor (manual)</option></select></div>
+      <div class="pair wind-curve"><label for="field-curve">Power curve (kn:W, …)</label><input id="field-curve" type="text" value="${curveText(WIND_PRESETS[0].curve)}"></div>
+      <div class="pair wind-curve"><label for="field-avgkn">Average wind (kn)</label><input id="field-avgkn" type="number" min="0" max="60" step="0.5" value="12"></div>
+      <div class="pair wind-curve"><label for="field-weibull">Distribution shape k</label><input id="field-weibull" type="number" min="1" max="4" step="0.1" value="2"></div>
+      <div class="pair wind-cf"><label for="field-rated">Rated power (W)</label><input id="field-rated" type="number" min="0" step="1" value="400"></div>
+      <div class="pair wind-cf"><label for="field-cf">Capacity factor (%)</label><input id="field-cf" type="number" min="0" max="100" step="1" value="20"></div>
+      <div id="wind-note" class="note"></div>`;
+    genHours.value = 24;
+    $("#field-windmodel").addEventListener("change", () => {
+      const p = WIND_PRESETS.find((x) => x.name === $("#field-windmodel").value);
+      if (p) $("#field-curve").value = curveText(p.curve);
+      syncWindFields();
+    });
+    $("#field-curve").addEventListener("input", () => {
+      if ($("#field-windmodel").value !== "cf") $("#field-windmodel").value = "custom";
+      syncWindFields();
+    });
+    [$("#field-avgkn"), $("#field-weibull")].forEach((el) => el.addEventListener("input", syncWindFields));
+    syncWindFields();
+  }
+  if (type === "Hydro") {
+    genFields.innerHTML = `
+      <div class="pair"><label for="field-hydromodel">Generator</label><select id="field-hydromodel">${HYDRO_PRESETS.map(
+        (p) => `<option>${escapeHtml(p.name)}</option>`
+      ).join("")}<option value="custom">Custom power curve</option></select></div>
+      <div class="pair"><label for="field-curve">Power curve (kn:W, …)</label><input id="field-curve" type="text" value="${curveText(HYDRO_PRESETS[0].curve)}"></div>
+      <div class="pair"><label for="field-speed">Boat speed (kn)</label><input id="field-speed" type="number" min="0" max="30" step="0.5" value="6"></div>
+      <div id="hydro-note" class="note"></div>`;
     genHours.value = 24;
+    const sync = () => {
+      const curve = parseCurve($("#field-curve").value);
+      $("#hydro-note").classList.toggle("danger", !curve);
+      $("#hydro-note").textContent = curve
+        ? `${fmt(curveW(curve, num($("#field-speed").value)))} W at ${fmt(num($("#field-speed").value))} kn while towing. Hours = hours deployed per day; passage legs use each sail leg's speed.`
+        : curveHint("5:60, 6:110, 7:170");
+    };
+    $("#field-hydromodel").addEventListener("change", () => {
+      const p = HYDRO_PRESETS.find((x) => x.name === $("#field-hydromodel").value);
+      if (p) $("#field-curve").value = curveText(p.curve);
+      sync();
+    });
+    $("#field-curve").addEventListener("input", () => {
+      $("#field-hydromodel").value = "custom";
+      sync();
+    });
+    $("#field-speed").addEventListener("input", sync);
+    sync();
+  }
+  if (type === "Fuel Cell") {
+    genFields.innerHTML = `
+      <div class="pair"><label for="field-fcmodel">Model</label><select id="field-fcmodel">${FUEL_CELL_PRESETS.map(
+        (p) => `<option>${escapeHtml(p.name)}</option>`
+      ).join("")}<option value="custom">Custom</option></select></div>
+      <div class="pair"><label for="field-outw">DC output (W)</label><input id="field-outw" type="number" min="0" step="1" value="${FUEL_CELL_PRESETS[1].outW}"></div>
+      <div class="pair"><label for="field-fuel">Fuel use (L/kWh)</label><input id="field-fuel" type="number" min="0" max="10" step="0.05" value="${FUEL_CELL_PRESETS[1].fuelLPerKWh}"></div>
+      <div class="pair"><label for="field-tank">Fuel on board (L)</label><input id="field-tank" type="number" min="0" step="1" value="20"></div>
+      <div class="pair"><label for="field-start">Runs from (hour)</label><input id="field-start" type="number" min="0" max="23" step="1" value="${GEN_START_HR["Fuel Cell"]}"></div>`;
+    $("#field-fcmodel").value = FUEL_CELL_PRESETS[1].name;
+    genHours.value = 8;
+    $("#field-fcmodel").addEventListener("change", () => {
+      const p = FUEL_CELL_PRESETS.find((x) => x.name === $("#field-fcmodel").value);
+      if (p) ($("#field-outw").value = p.outW), ($("#field-fuel").value = p.fuelLPerKWh);
+    });
+    [$("#field-outw"), $("#field-fuel")].forEach((el) =>
+      el.addEventListener("input", () => ($("#field-fcmodel").value = "custom"))
+    );
   }
   if (type === "Alternator") {
-    genFields.innerHTML = `<div class="pair"><label for="field-amps">DC charge current (A)</label><input id="field-amps" type="number" min="0" step="0.1" value="40"></div>`;
+    genFields.innerHTML = `
+      <div class="pair"><label for="field-altmodel">Output</label><select id="field-altmodel"><option value="model">Alternator model</option><option value="fixed">Fixed DC current</option></select></div>
+      <div class="pair alt-fixed"><label for="field-amps">DC charge current (A)</label><input id="field-amps" type="number" min="0" step="0.1" value="40"></div>
+      <div class="pair alt-model"><label for="field-altrated">Alternator rating (A)</label><input id="field-altrated" type="number" min="0" step="1" value="80"></div>
+      <div class="pair alt-model"><label for="field-hotderate">Hot derate (%)</label><input id="field-hotderate" type="number" min="0" max="90" step="1" value="25"></div>
+      <div class="pair alt-model"><label for="field-rpm">Engine RPM underway</label><input id="field-rpm" type="number" min="0" max="6000" step="50" value="2000"></div>
+      <div class="pair alt-model"><label for="field-pulley">Pulley ratio</label><input id="field-pulley" type="number" min="0.5" max="5" step="0.1" value="2.5"></div>
+      <div class="pair alt-model"><label for="field-dcdc">DC-DC charger</label><input id="field-dcdc" type="checkbox"></div>
+      <div class="pair alt-dcdc"><label for="field-dcdclimit">DC-DC limit (A)</label><input id="field-dcdclimit" type="number" min="0" step="1" value="30"></div>
+      <div class="pair alt-dcdc"><label for="field-dcdceff">DC-DC efficiency (%)</label><input id="field-dcdceff" type="number" min="50" max="100" step="1" value="95"></div>
+      <div class="pair"><label for="field-althours">Motoring hours</label><select id="field-althours"><option value="typed">Hours field</option><option value="passage">From passage motor legs</option></select></div>
+      <div class="pair"><label for="field-start">Runs from (hour)</label><input id="field-start" type="number" min="0" max="23" step="1" value="${GEN_START_HR.Alternator}"></div>
+      <div id="alt-note" class="note"></div>`;
     genHours.value = 2;
+    $("#field-dcdc").checked = state.settings.chemistry === "LFP";
+    $$("input, select", genFields).forEach((el) => el.addEventListener("input", syncAltFields));
+    syncAltFields();
   }
   if (type === "AC Charger") {
     genFields.innerHTML = `
       <div class="pair"><label for="field-amps">DC charge current (A)</label><input id="field-amps" type="number" min="0" step="0.1" value="30"></div>
-      <div class="pair"><label for="field-eff">Charging efficiency (%)</label><input id="field-eff" type="number" min="0" max="100" step="1" value="92"></div>`;
+      <div class="pair"><label for="field-eff">Charging efficiency (%)</label><input id="field-eff" type="number" min="0" max="100" step="1" value="92"></div>
+      <div class="pair"><label for="field-start">Runs from (hour)</label><input id="field-start" type="number" min="0" max="23" step="1" value="${GEN_START_HR["AC Charger"]}"></div>`;
     genHours.value = 4;
   }
 }
 genType.addEventListener("change", () => renderGenFields(genType.value));
+// Hours is shared by every type; only the alternator note depends on it
+genHours.addEventListener("input", () => {
+  if (genType.value === "Alternator") syncAltFields();
+});
+genAwg.innerHTML = gaugeOptions();
 
 function readGenForm() {
   const type = genType.value;
@@ -393,36 +1323,102 @@ function readGenForm() {
     id: state.editId ?? newId(),
     type,
     name: genName.value.trim() || type,
-    qty: Math.max(1, Math.round(num(genQty.value) || 1)),
-    hours: Math.max(0, num(genHours.value) || 0),
+    qty: clamp(Math.round(num(genQty.value) || 1), 1, 1000),
+    hours: clamp(num(genHours.value) || 0, 0, 24),
+    runFt: clamp(num(genRun.value), 0, 1000),
+    awg: genAwg.value,
   };
   if (type === "Solar")
     return {
       ...base,
-      panelW: num($("#field-panelW").value),
-      panels: Math.max(1, Math.round(num($("#field-panels").value) || 1)),
-      sunHrs: num($("#field-sun").value),
+      panelW: clamp(num($("#field-panelW").value), 0, 100000),
+      panels: clamp(Math.round(num($("#field-panels").value) || 1), 1, 1000),
+      sunHrs: clamp(num($("#field-sun").value), 0, 24),
       deratePct: clamp(num($("#field-derate").value), 0, 100),
       ctrlEffPct: clamp(num($("#field-ctrl").value), 0, 100),
+      ctrlType: $("#field-ctrltype").value,
+      airC: clamp(num($("#field-air").value), -30, 60),
+      ...(solarSiteUsed ? readSolarSite() : {}),
+    };
+  if (type === "Wind") {
+    const model = $("#field-windmodel").value;
+    if (model === "cf")
+      return {
+        ...base,
+        ratedW: clamp(num($("#field-rated").value), 0, 100000),
+        capacityPct: clamp(num($("#field-cf").value), 0, 100),
+      };
+    const curve = parseCurve($("#field-curve").value);
+    return {
+      ...base,
+      windPreset: model === "custom" ? "" : model,
+      curve,
+      avgKn: clamp(num($("#field-avgkn").value), 0, 60),
+      weibullK: clamp(num($("#field-weibull").value) || 2, 1, 4),
+      ratedW: Math.max(0, ...curve.map((pt) => pt[1])),
+    };
+  }
+  if (type === "Hydro") {
+    const model = $("#field-hydromodel").value;
+    return {
+      ...base,
+      hydroPreset: model === "custom" ? "" : model,
+      curve: parseCurve($("#field-curve").value),
+      speedKn: clamp(num($("#field-speed").value), 0, 30),
     };
-  if (type === "Wind")
+  }
+  if (type === "Fuel Cell") {
+    const model = $("#field-fcmodel").value;
     return {
       ...base,
-      ratedW: num($("#field-rated").value),
-      capacityPct: clamp(num($("#field-cf").value), 0, 100),
+      fuelCellModel: model === "custom" ? "" : model,
+      outW: clamp(num($("#field-outw").value), 0, 100000),
+      fuelLPerKWh: clamp(num($("#field-fuel").value), 0, 10),
+      tankL: clamp(num($("#field-tank").value), 0, 10000),
+      startHr: clamp(Math.round(num($("#field-start").value)), 0, 23),
+    };
+  }
+  if (type === "Alternator") {
+    const alt = {
+      ...base,
+      hoursFrom: $("#field-althours").value,
+      startHr: clamp(Math.round(num($("#field-start").value)), 0, 23),
+    };
+    if ($("#field-altmodel").value === "fixed") return { ...alt, dcAmps: clamp(num($("#field-amps").value), 0, 10000) };
+    const dcdc = $("#field-dcdc").checked;
+    return {
+      ...alt,
+      altRatedA: clamp(num($("#field-altrated").value), 0, 1000),
+      hotDeratePct: clamp(num($("#field-hotderate").value), 0, 90),
+      engineRpm: clamp(num($("#field-rpm").value), 0, 6000),
+      pulleyRatio: clamp(num($("#field-pulley").value), 0.5, 5),
+      dcdc,
+      ...(dcdc
+        ? { dcdcLimitA: clamp(num($("#field-dcdclimit").value), 0, 1000), dcdcEffPct: clamp(num($("#field-dcdceff").value), 50, 100) }
+        : {}),
     };
-  if (type === "Alternator")
-    return { ...base, dcAmps: num($("#field-amps").value) };
+  }
   if (type === "AC Charger")
     return {
       ...base,
-      dcAmps: num($("#field-amps").value),
+      dcAmps: clamp(num($("#field-amps").value), 0, 10000),
       effPct: clamp(num($("#field-eff").value), 0, 100),
+      startHr: clamp(Math.round(num($("#field-start").value)), 0, 23),
     };
   return base;
 }
 
+// Fields the entry cannot be built from; flagged under the form instead of saving a dead entry
+function genFormInvalid() {
+  const curveUsed = genType.value === "Hydro" || (genType.value === "Wind" && $("#field-windmodel").value !== "cf");
+  if (!curveUsed || parseCurve($("#field-curve").value)) return false;
+  $("#field-curve").dispatchEvent(new Event("input")); // the type's note explains the format in red
+  $("#field-curve").focus();
+  return true;
+}
+
 function onAddGen() {
+  if (genFormInvalid()) return;
   const entry = readGenForm();
   state.gen.push(entry);
   clearGenForm();
@@ -431,6 +1427,7 @@ function onAddGen() {
 }
 genAddBtn.addEventListener("click", onAddGen);
 function onUpdateGen() {
+  if (genFormInvalid()) return;
   const entry = readGenForm();
   const idx = state.gen.findIndex((x) => x.id === entry.id);
   if (idx >= 0) {
@@ -451,6 +1448,8 @@ function clearGenForm() {
   genAddBtn.style.display = "inline-block";
   genName.value = "";
   genQty.value = 1;
+  genRun.value = 0;
+  genAwg.value = "";
   setGenType(genType.value || "Solar");
 }
 
@@ -466,20 +1465,67 @@ function editGen(id) {
   genName.value = e.name;
   genHours.value = e.hours;
   genQty.value = e.qty;
+  genRun.value = e.runFt || 0;
+  genAwg.value = e.awg || "";
   if (e.type === "Solar") {
     $("#field-panelW").value = e.panelW;
     $("#field-panels").value = e.panels;
     $("#field-sun").value = e.sunHrs;
     $("#field-derate").value = e.deratePct;
     $("#field-ctrl").value = e.ctrlEffPct;
+    $("#field-ctrltype").value = e.ctrlType || "MPPT";
+    $("#field-air").value = e.airC ?? "";
+    if (e.siteLat != null) {
+      solarSiteUsed = true;
+      $("#solarEst").open = true;
+      $("#est-ground").value = "";
+      $("#est-lat").value = e.siteLat;
+      $("#est-month").value = e.siteMonth;
+      $("#est-kt").value = e.siteKt;
+      $("#est-tilt").value = e.siteTilt;
+      $("#est-shade").value = e.siteShadePct;
+    }
   } else if (e.type === "Wind") {
-    $("#field-rated").value = e.ratedW;
-    $("#field-cf").value = e.capacityPct;
+    if (e.curve) {
+      $("#field-windmodel").value = WIND_PRESETS.some((p) => p.name === e.windPreset) ? e.windPreset : "custom";
+      $("#field-curve").value = curveText(e.curve);
+      $("#field-avgkn").value = e.avgKn ?? 0;
+      $("#field-weibull").value = e.weibullK ?? 2;
+    } else {
+      $("#field-windmodel").value = "cf";
+      $("#field-rated").value = e.ratedW;
+      $("#field-cf").value = e.capacityPct;
+    }
+    syncWindFields();
+  } else if (e.type === "Hydro") {
+    $("#field-hydromodel").value = HYDRO_PRESETS.some((p) => p.name === e.hydroPreset) ? e.hydroPreset : "custom";
+    $("#field-curve").value = curveText(e.curve || []);
+    $("#field-speed").value = e.speedKn ?? 0;
+    $("#field-speed").dispatchEvent(new Event("input"));
+  } else if (e.type === "Fuel Cell") {
+    $("#field-fcmodel").value = FUEL_CELL_PRESETS.some((p) => p.name === e.fuelCellModel) ? e.fuelCellModel : "custom";
+    $("#field-outw").value = e.outW;
+    $("#field-fuel").value = e.fuelLPerKWh;
+    $("#field-tank").value = e.tankL ?? 0;
+    $("#field-start").value = e.startHr ?? GEN_START_HR["Fuel Cell"];
   } else if (e.type === "Alternator") {
-    $("#field-amps").value = e.dcAmps;
+    $("#field-altmodel").value = e.altRatedA == null ? "fixed" : "model";
+    if (e.altRatedA == null) $("#field-amps").value = e.dcAmps;
+    else {
+      $("#field-altrated").value = e.altRatedA;
+      $("#field-hotderate").value = e.hotDeratePct ?? 0;
+      $("#field-rpm").value = e.engineRpm ?? 0;
+      $("#field-pulley").value = e.pulleyRatio ?? 2.5;
+      $("#field-dcdc").checked = !!e.dcdc;
+      if (e.dcdc) ($("#field-dcdclimit").value = e.dcdcLimitA), ($("#field-dcdceff").value = e.dcdcEffPct);
+    }
+    $("#field-althours").value = e.hoursFrom || "typed";
+    $("#field-start").value = e.startHr ?? GEN_START_HR.Alternator;
+    syncAltFields();
   } else if (e.type === "AC Charger") {
     $("#field-amps").value = e.dcAmps;
     $("#field-eff").value = e.effPct;
+    $("#field-start").value = e.startHr ?? GEN_START_HR["AC Charger"];
   }
 }
 function delGen(id) {
@@ -490,10 +1536,36 @@ function delGen(id) {
 
 function detailsText(e) {
   if (e.type === "Solar")
-    return `${e.panelW}W × ${e.panels}, ${e.sunHrs}h, −${e.deratePct}% derate, ${e.ctrlEffPct}% ctrl`;
+    return (
+      `${e.panelW}W × ${e.panels}, ${e.sunHrs}h, −${e.deratePct}% derate, ${e.ctrlType || "MPPT"} ${e.ctrlEffPct}%` +
+      (e.ctrlType !== "PWM" && e.airC != null ? `, ${panelTempText(e.airC)}` : "") +
+      (e.siteLat != null ? ` (${fmt(Math.abs(e.siteLat))}°${e.siteLat < 0 ? "S" : "N"}, ${MONTHS[e.siteMonth]})` : "")
+    );
+  if (e.type === "Wind" && e.curve)
+    return (
+      `${e.windPreset || "Custom curve"} @ ${fmt(e.avgKn ?? 0)} kn avg (${(e.weibullK ?? 2) === 2 ? "Rayleigh" : `Weibull k ${e.weibullK}`})` +
+      ` → ${fmt(windMeanW(e))} W avg × ${e.hours}h`
+    );
   if (e.type === "Wind") return `${e.ratedW}W @ ${e.capacityPct}% × ${e.hours}h`;
-  if (e.type === "Alternator") return `${e.dcAmps}A × ${e.hours}h`;
-  if (e.type === "AC Charger") return `${e.dcAmps}A × ${e.hours}h @ ${e.effPct}%`;
+  if (e.type === "Alternator")
+    return (
+      (e.altRatedA == null
+        ? `${e.dcAmps}A`
+        : `${e.altRatedA}A alt @ ${e.engineRpm} rpm −${e.hotDeratePct}% hot` +
+          (e.dcdc ? ` → DC-DC ${e.dcdcLimitA}A @ ${e.dcdcEffPct}%` : "") +
+          ` = ${fmt(alternatorA(e))}A`) +
+      ` × ${e.hoursFrom === "passage" ? `${fmt(alternatorHours(e))}h (motor legs)` : `${e.hours}h`}` +
+      ` from ${hourLabel(e.startHr ?? GEN_START_HR.Alternator)}`
+    );
+  if (e.type === "Hydro")
+    return `${e.hydroPreset || "Custom curve"} @ ${fmt(e.speedKn ?? 0)} kn → ${fmt(curveW(e.curve || [], e.speedKn || 0))} W × ${e.hours}h`;
+  if (e.type === "Fuel Cell")
+    return (
+      `${e.fuelCellModel ? `${e.fuelCellModel}, ` : ""}${e.outW}W × ${e.hours}h from ${hourLabel(e.startHr ?? GEN_START_HR["Fuel Cell"])}` +
+      `, ${fmt(fuelCellLDay(e, state.settings.voltage))} L/day @ ${e.fuelLPerKWh} L/kWh`
+    );
+  if (e.type === "AC Charger")
+    return `${e.dcAmps}A × ${e.hours}h @ ${e.effPct}% from ${hourLabel(e.startHr ?? GEN_START_HR["AC Charger"])}`;
   return "";
 }
 
@@ -525,16 +1597,16 @@ function genEntryWh(e, v) {
   const qty = e.qty || 1;
   if (e.type === "Solar") {
     const { panelW = 0, panels = 0, sunHrs = 0, deratePct = 0, ctrlEffPct = 100 } = e;
-    return qty * (panelW * panels * sunHrs * (1 - deratePct / 100) * (ctrlEffPct / 100));
+    return qty * (panelW * panels * sunHrs * (1 - deratePct / 100) * (ctrlEffPct / 100) * solarOutputFactor(e));
   }
+  if (e.type === "Wind" && e.curve) return qty * windMeanW(e) * (e.hours || 0);
   if (e.type === "Wind") {
     const { ratedW = 0, capacityPct = 0, hours = 0 } = e;
     return qty * (ratedW * (capacityPct / 100) * hours);
   }
-  if (e.type === "Alternator") {
-    const { dcAmps = 0, hours = 0 } = e;
-    return qty * (dcAmps * v * hours);
-  }
+  if (e.type === "Alternator") return qty * alternatorA(e) * v * alternatorHours(e);
+  if (e.type === "Hydro") return qty * curveW(e.curve || [], e.speedKn || 0) * (e.hours || 0);
+  if (e.type === "Fuel Cell") return qty * (e.outW || 0) * (e.hours || 0);
   if (e.type === "AC Charger") {
     const { dcAmps = 0, hours = 0, effPct = 100 } = e;
     return qty * (dcAmps * v * hours * (effPct / 100));
@@ -559,70 +1631,163 @@ function setKpiPair(whId, ahId, whVal, ahVal) {
 }
 
 // Core math & render
-function recalc() {
-  state.settings = {
+function readSettings() {
+  return {
     voltage: +voltage.value,
     chemistry: chemistry.value,
     dod: clamp(num(dod.value), 10, 99),
     reserve: clamp(num(reserve.value), 0, 100),
-    days: Math.max(1, Math.round(num(days.value) || 1)),
+    days: clamp(Math.round(num(days.value) || 1), 1, 365),
     invEff: clamp(num(invEff.value), 50, 100),
-    invStandby: Math.max(0, num(invStandby.value) || 0),
+    invStandby: clamp(num(invStandby.value) || 0, 0, 1000),
+    invSearchW: clamp(num(invSearchW.value) || 0, 0, 1000),
+    invSearchPct: clamp(num(invSearchPct.value), 0, 100),
+    invMode: invMode.value,
+    // A typo would read as 24 h on; keep the last valid window until it parses again
+    invWindow: validSchedule(invWindow.value) ? invWindow.value.trim() : state.settings.invWindow,
+    mainsV: +mainsV.value,
+    mainsHz: +mainsHz.value,
     derate: clamp(num(derate.value), 0, 80),
-    actualBankAh: Math.max(0, num(actualBankAhEl.value) || DEFAULTS.actualBankAh), // <-- NEW
+    peukert: clamp(num(peukert.value) || 1, 1, 1.6),
+    ambientC: clamp(num(ambientC.value), -30, 60),
+    actualBankAh: clamp(num(actualBankAhEl.value) || DEFAULTS.actualBankAh, 0, 100000), // <-- NEW
+    bmsA: clamp(num(bmsA.value), 0, 10000),
+    bmsSurgeA: clamp(num(bmsSurgeA.value), 0, 20000),
   };
-  $("#vLabel").textContent = state.settings.voltage;
-  $("#vLabel2").textContent = state.settings.voltage;
-
-  let anchorWh = 0,
-    sailWh = 0,
-    acAnchorHours = 0,
-    acSailHours = 0;
+}
 
-  for (const r of state.rows) {
-    const duty = (r.duty || 0) / 100,
-      qty = r.qty || 0;
-    const whA = rowWh(r, r.hAnchor, duty, qty),
-      whS = rowWh(r, r.hSail, duty, qty);
-    if (r.type === "AC") {
-      acAnchorHours = Math.max(acAnchorHours, r.hAnchor || 0);
-      acSailHours = Math.max(acSailHours, r.hSail || 0);
-    }
-    anchorWh += whA;
-    sailWh += whS;
-  }
+// Everything the KPIs and reports need, from state.settings/rows/gen/legs only (no DOM),
+// so saved scenarios can be evaluated the same way as the live one.
+function computeModel(prop) {
+  const s = state.settings,
+    V = s.voltage;
+  // Each trip day runs its own mode(s); per-day figures below are trip averages
+  const days = tripProfiles(V);
+  const n = days.length;
+  const avg = (k) => days.reduce((t, d) => t + d[k], 0) / n;
+  const modeStats = Object.fromEntries(allModes().map((md) => [md.id, dayProfile({ modes: [md.id], kinds: [md.kind] }, V)]));
 
-  const standbyWhDay = state.settings.invStandby * (acAnchorHours + acSailHours);
-  const whDayTotal = anchorWh + sailWh + standbyWhDay;
-  const ahDayTotal = whDayTotal / state.settings.voltage;
+  const standbyWhDay = avg("standbyWh");
+  const acDcWh = avg("acDcWh");
+  // AC bus: energy at the outlets vs what the inverter pulls from the bank to supply it
+  const acOutletWh = acDcWh * (s.invEff / 100);
+  const whDayTotal = avg("loadWh");
+  const ahDayTotal = whDayTotal / V;
 
-  // Generation per day
-  let genWhDay = 0;
-  for (const e of state.gen) genWhDay += genEntryWh(e, state.settings.voltage);
-  const genAhDay = genWhDay / state.settings.voltage;
+  const genWhDay = avg("genWh");
+  const genAhDay = genWhDay / V;
+  const fuelCells = state.gen.filter((e) => e.type === "Fuel Cell");
+  const fuelLDay = fuelCells.reduce((a, e) => a + fuelCellLDay(e, V), 0);
+  const fuelTankL = fuelCells.reduce((a, e) => a + (e.tankL || 0), 0);
 
-  const netWh = genWhDay - whDayTotal;
-  const netAh = genAhDay - ahDayTotal;
+  // Marina days: what the pedestal supplies and how close the busiest day gets to the breaker
+  const shoreDays = days.filter((d) => d.shore);
+  const shore = shoreDays.length
+    ? {
+        days: shoreDays.length,
+        whDay: shoreDays.reduce((t, d) => t + d.shore.wh, 0) / shoreDays.length,
+        acWhDay: shoreDays.reduce((t, d) => t + d.shore.acWh, 0) / shoreDays.length,
+        ...shoreDays.map((d) => d.shore).reduce((a, d) => (d.peakA / d.pedestalA > a.peakA / a.pedestalA ? d : a)),
+      }
+    : null;
 
-  const tripWh = whDayTotal * state.settings.days;
-  const tripAh = ahDayTotal * state.settings.days;
+  const tripWh = whDayTotal * n;
+  const tripAh = ahDayTotal * n;
 
-  const usableDoD = state.settings.dod / 100;
-  const withReserveAh = tripAh * (1 + state.settings.reserve / 100);
+  const usableDoD = s.dod / 100;
+  const withReserveAh = tripAh * (1 + s.reserve / 100);
   let nameplateAh = withReserveAh / usableDoD;
-  if (state.settings.derate > 0) {
-    nameplateAh = nameplateAh / (1 - state.settings.derate / 100);
+  if (s.derate > 0) {
+    nameplateAh = nameplateAh / (1 - s.derate / 100);
   }
-  const withReserveWh = withReserveAh * state.settings.voltage;
-  const nameplateWh = nameplateAh * state.settings.voltage;
+  // Cold and high discharge rates both shrink what the nameplate delivers
+  const peak = peakLoad();
+  const tempF = tempFactor(s.chemistry, s.ambientC);
+  nameplateAh = peukertNameplateAh(nameplateAh / tempF, peak.amps, s.peukert);
+
+  const bestBank = bankOptions(nameplateAh, V, s.chemistry)[0];
   const modules100 = Math.max(1, Math.ceil(nameplateAh / 100));
-  const layout = `${modules100} × 100 Ah @ ${state.settings.voltage} V`;
+  const layout =
+    bestBank && bestBank.fits
+      ? `${bankLayoutLabel(bestBank)} @ ${V} V`
+      : `${modules100} × 100 Ah @ ${V} V`;
+
+  // Derived usable bank energy for gauge/SOC (based on ACTUAL bank input)
+  const actualPeukertF = peukertFactor(s.actualBankAh, peak.amps, s.peukert);
+  const actualUsableBankWh =
+    s.actualBankAh * V * usableDoD * (1 - s.derate / 100) * tempF * actualPeukertF;
+  // What the simulations charge into: usable window + what limits charge acceptance
+  const bank = {
+    usableWh: actualUsableBankWh,
+    nameplateWh: s.actualBankAh * V,
+    ah: s.actualBankAh,
+    V,
+    chem: s.chemistry,
+  };
+
+  // Average house draw per hour spent in each leg kind's mode (passage legs)
+  const houseW = Object.fromEntries(Object.keys(LEG_KINDS).map((k) => [k, modeStats[modeForKind(k).id].loadWh / 24]));
+  const shoreMode = modeStats[modeForKind("shore").id].shore;
+  const passage = simulatePassage(state.legs, {
+    V,
+    houseW,
+    bank,
+    prop,
+    // Charger input allowed on shore legs: breaker minus the average AC load
+    shoreInputW: shoreMode ? Math.max(0, shoreMode.pedestalA * s.mainsV - shoreMode.acWh / 24) : Infinity,
+  });
+  const hourly = simulateHourly(days, bank);
+
+  return {
+    days,
+    modeStats,
+    standbyWhDay,
+    invOnHours: avg("invHours"),
+    acOutletWh,
+    acLossWh: acDcWh - acOutletWh,
+    acDcWh: acDcWh + standbyWhDay,
+    whDayTotal,
+    ahDayTotal,
+    genWhDay,
+    genAhDay,
+    fuelCells: fuelCells.length,
+    fuelLDay,
+    fuelTankL,
+    shore,
+    netWh: genWhDay - whDayTotal,
+    netAh: genAhDay - ahDayTotal,
+    tripWh,
+    tripAh,
+    withReserveAh,
+    withReserveWh: withReserveAh * V,
+    nameplateAh,
+    nameplateWh: nameplateAh * V,
+    layout,
+    peak,
+    tempF,
+    actualPeukertF,
+    bank,
+    passage,
+    hourly,
+    wastedDayWh: hourly.wastedWh.reduce((a, b) => a + b, 0) / n,
+  };
+}
+
+function recalc() {
+  state.settings = readSettings();
+  $("#vLabel").textContent = state.settings.voltage;
+  $("#vLabel2").textContent = state.settings.voltage;
+
+  const m = computeModel(readRangeInputs().prop);
+  const V = state.settings.voltage;
+  const show = (wh, suffix = "") =>
+    unitMode === "Wh" ? `${fmt(wh)} Wh${suffix}` : `${fmt(wh / V)} Ah${suffix}`;
 
   const netWhEl = $("#netWhDay")?.closest(".kpi");
   const netAhEl = $("#netAhDay")?.closest(".kpi");
   [netWhEl, netAhEl].forEach((el) => el && el.classList.remove("ok", "warn", "bad"));
-  const netMetric = unitMode === "Wh" ? netWh : netAh;
-  const threshold = unitMode === "Wh" ? 200 : 200 / state.settings.voltage;
+  const netMetric = unitMode === "Wh" ? m.netWh : m.netAh;
+  const threshold = unitMode === "Wh" ? 200 : 200 / V;
   const targetEl = unitMode === "Wh" ? netWhEl : netAhEl;
   if (targetEl) {
     if (netMetric > 0) targetEl.classList.add("ok");
@@ -630,87 +1795,308 @@ function recalc() {
     else targetEl.classList.add("bad");
   }
 
-  setKpiPair("whDay", "ahDay", whDayTotal, ahDayTotal);
-  setKpiPair("genWhDay", "genAhDay", genWhDay, genAhDay);
-  setKpiPair("netWhDay", "netAhDay", netWh, netAh);
-
-  $("#tripWhAh").textContent =
-    unitMode === "Wh" ? `${fmt(tripWh)} Wh` : `${fmt(tripAh)} Ah`;
-  $("#bankAh").textContent =
-    unitMode === "Wh"
-      ? `${fmt(withReserveWh)} Wh / ${fmt(nameplateWh)} Wh`
-      : `${fmt(withReserveAh)} Ah / ${fmt(nameplateAh)} Ah`;
-  $("#anchorWhAh").textContent =
-    unitMode === "Wh"
-      ? `${fmt(anchorWh)} Wh/day`
-      : `${fmt(anchorWh / state.settings.voltage)} Ah/day`;
-  $("#sailWhAh").textContent =
-    unitMode === "Wh"
-      ? `${fmt(sailWh)} Wh/day`
-      : `${fmt(sailWh / state.settings.voltage)} Ah/day`;
-  $("#invStandbyWh").textContent =
-    unitMode === "Wh"
-      ? `${fmt(standbyWhDay)} Wh/day`
-      : `${fmt(standbyWhDay / state.settings.voltage)} Ah/day`;
-  $("#suggestLayout").textContent = layout;
+  setKpiPair("whDay", "ahDay", m.whDayTotal, m.ahDayTotal);
+  setKpiPair("genWhDay", "genAhDay", m.genWhDay, m.genAhDay);
+  setKpiPair("netWhDay", "netAhDay", m.netWh, m.netAh);
+
+  $("#tripWhAh").textContent = show(m.tripWh);
+  $("#bankAh").textContent = `${show(m.withReserveWh)} / ${show(m.nameplateWh)}`;
+  renderModeKpis(m, show);
+  if (paneModes.classList.contains("active")) renderModeStats(m);
+  $("#invStandbyWh").textContent = `${show(m.standbyWhDay, "/day")} · ${fmt(m.invOnHours)} h on`;
+  $("#acOutletWh").textContent = show(m.acOutletWh, "/day");
+  $("#acPeakW").textContent = `${fmt(m.peak.acW)} W · ${fmt(m.peak.acW / state.settings.mainsV)} A @ ${state.settings.mainsV} V`;
+  $("#acLossWh").textContent = show(m.acLossWh, "/day");
+  $("#acDcWh").textContent = show(m.acDcWh, "/day");
+  $("#suggestLayout").textContent = m.layout;
+  renderBankBuilder(m.nameplateAh);
 
   // Autosave
-  const autosave = {
-    settings: state.settings,
-    rows: state.rows,
-    gen: state.gen,
-  };
-  localStorage.setItem("boatSizerAutosaveV2", JSON.stringify(autosave));
+  localStorage.setItem(
+    "boatSizerAutosaveV2",
+    JSON.stringify({ ...scenarioSnapshot(), scenarioId: state.scenarioId })
+  );
 
   renderGenList();
 
-  // Build reports data (per-day bars stay constant; overlay cumulative net line)
-  const d = state.settings.days;
-  const labels = Array.from({ length: d }, (_, i) => `Day ${i + 1}`);
-  const generationWh = Array.from({ length: d }, () => genWhDay);
-  const consumptionWh = Array.from({ length: d }, () => whDayTotal);
-  const cumulativeNetWh = labels.map((_, i) => (genWhDay - whDayTotal) * (i + 1));
-
-  // NEW: net draw from the bank over the trip (Wh)
-  // positive = you need that much from the battery; negative = surplus generation
-  const tripNetWh = (whDayTotal - genWhDay) * d;
-
-  // (Optional) stacked breakdowns
-  const genBreakdown = buildGenBreakdownSeries(d, state.settings.voltage);
-  const useBreakdown = buildUseBreakdownSeries(d);
-
-  // Derived usable bank energy for gauge/SOC (based on suggested nameplate)
- // Derived usable bank energy for gauge/SOC (based on ACTUAL bank input)
-// Derived usable bank energy for gauge/SOC (based on ACTUAL bank input)
-const V = state.settings.voltage;
-const der = state.settings.derate / 100;
-const actualUsableBankWh =
-  state.settings.actualBankAh * V * usableDoD * (1 - der);
-const actualNameplateWh = state.settings.actualBankAh * V;
-
-// Render only on Reports tab
-if (tabReports.classList.contains("active") && typeof window.renderReports === "function") {
-  window.unitMode = unitMode; // ensure reports sees the current toggle
-  window.renderReports({
-    labels,
-    generationWh,
-    consumptionWh,
-    systemVoltage: V,
-    genBreakdown,
-    useBreakdown,
-    majorThreshold: 0.10,
-
-    // New analytics
-      cumulativeNetWh,
-  tripWh,
-  tripNetWh: (whDayTotal - genWhDay) * d,   // <-- ADD THIS LINE
-  bankUsableWh: actualUsableBankWh,
-  bankNameplateWh: actualNameplateWh,
- });
+  $("#capFactors").textContent =
+    `${fmt(m.actualPeukertF * 100)}% / ${fmt(m.tempF * 100)}% · peak ${fmt(m.peak.amps)} A`;
+  renderPeakReport(m.peak);
+  renderWiringReport();
+  renderPassage(m.passage);
+
+  $("#wastedGen").textContent =
+    show(m.wastedDayWh, "/day") +
+    ` (${fmt(m.genWhDay > 0 ? (m.wastedDayWh / m.genWhDay) * 100 : 0)}%)`;
+  const shoreEl = $("#shoreUse");
+  shoreEl.closest(".kpi").classList.toggle("hidden", !m.shore);
+  shoreEl.closest(".kpi").classList.toggle("bad", !!m.shore && m.shore.peakA > m.shore.pedestalA + 0.05);
+  if (m.shore)
+    shoreEl.textContent =
+      `${fmt(m.shore.whDay / 1000)} kWh/day (AC loads ${fmt(m.shore.acWhDay / 1000)}) · ` +
+      `peak ${fmt(m.shore.peakA)} A of ${fmt(m.shore.pedestalA)} A · ${m.shore.days} d`;
+  const fuelEl = $("#fuelCellUse");
+  fuelEl.closest(".kpi").classList.toggle("hidden", !m.fuelCells);
+  fuelEl.textContent =
+    `${fmt(m.fuelLDay)} L/day · ${fmt(m.fuelLDay * state.settings.days)} L trip` +
+    (m.fuelLDay > 0 && m.fuelTankL > 0 ? ` · ${fmt(m.fuelTankL / m.fuelLDay)} days on board` : "");
+  const hourly = m.hourly;
+  const minSocEl = $("#minSocHourly");
+  minSocEl.textContent = `${fmt(hourly.minSoc)}% · ${hourly.labels[hourly.minIdx]}`;
+  minSocEl.closest(".kpi").classList.remove("ok", "warn", "bad");
+  minSocEl
+    .closest(".kpi")
+    .classList.add(hourly.minSoc <= 0 ? "bad" : hourly.minSoc < 25 ? "warn" : "ok");
+
+  // Render only on Reports tab
+  if (tabReports.classList.contains("active") && typeof window.renderReports === "function") {
+    // One bar per trip day (days differ once a trip is composed); cumulative net overlay
+    const labels = m.days.map(tripDayLabel);
+    let cum = 0;
+    window.unitMode = unitMode; // ensure reports sees the current toggle
+    window.renderReports({
+      labels,
+      generationWh: m.days.map((d) => d.genWh),
+      consumptionWh: m.days.map((d) => d.loadWh),
+      systemVoltage: V,
+      genBreakdown: buildGenBreakdownSeries(m.days),
+      useBreakdown: buildUseBreakdownSeries(m.days),
+      majorThreshold: 0.10,
+
+      // New analytics
+      cumulativeNetWh: m.days.map((d) => (cum += d.genWh - d.loadWh)),
+      tripWh: m.tripWh,
+      // positive = you need that much from the battery; negative = surplus generation
+      tripNetWh: -m.netWh * m.days.length,
+      bankUsableWh: m.bank.usableWh,
+      bankNameplateWh: m.bank.nameplateWh,
+      socTimeline: m.passage.steps.length ? m.passage.timeline : hourly.daily,
+      hourly,
+    });
+  }
+  if (paneScenarios.classList.contains("active")) renderScenarios();
+}
+
+// One KPI per mode: Anchor/Underway for the typical day, else each mode in the trip
+function renderModeKpis(m, show) {
+  $$(".mode-kpi").forEach((k) => k.remove());
+  const ids = state.trip.length ? [...new Set(state.trip.map((seg) => seg.mode))] : TYPICAL_DAY.modes;
+  const html = ids
+    .map((id) => {
+      const md = modeById(id);
+      const n = state.trip.filter((seg) => seg.mode === id).reduce((t, seg) => t + seg.days, 0);
+      return `<div class="kpi mode-kpi">
+        <div class="label">${escapeHtml(md.name)}${n ? ` × ${n} d` : ""} — per day</div>
+        <div class="value">${show(m.modeStats[id].rowsWh, "/day")}</div>
+      </div>`;
+    })
+    .join("");
+  $("#invStandbyWh").closest(".kpi").insertAdjacentHTML("beforebegin", html);
+}
+
+// Worst case across the day with every scheduled row running at full rating (duty ignored).
+// Each hour combines ungrouped rows with one "runs together" group at a time; every
+// metric keeps its own worst combination. Surge = one unit starting on top of the rest.
+function peakLoad() {
+  const V = state.settings.voltage,
+    eff = state.settings.invEff / 100;
+  const pk = { amps: 0, watts: 0, hour: 0, acW: 0, acSurgeW: 0, surgeAmps: 0 };
+  const combos = (active) => {
+    const groups = new Map();
+    const loose = [];
+    for (const r of active) {
+      if (r.group) groups.set(r.group, [...(groups.get(r.group) || []), r]);
+      else loose.push(r);
+    }
+    return groups.size ? [...groups.values()].map((g) => [...loose, ...g]) : [loose];
+  };
+  for (let h = 0; h < 24; h++) {
+    const active = state.rows.filter(
+      (r) => r.qty > 0 && allModes().some((md) => rowHours(r, md.id) > 0) && scheduleHours(r.sched)[h]
+    );
+    for (const set of combos(active)) {
+      let acW = 0,
+        dcSideW = 0,
+        acExtra = 0,
+        dcSideExtra = 0;
+      for (const r of set) {
+        const w = rowRatedW(r),
+          extra = w * (Math.max(1, r.surge || 1) - 1);
+        if (r.type === "AC") {
+          acW += w * r.qty;
+          acExtra = Math.max(acExtra, extra);
+        }
+        dcSideW += (r.type === "AC" ? w / eff : w) * r.qty;
+        dcSideExtra = Math.max(dcSideExtra, r.type === "AC" ? extra / eff : extra);
+      }
+      if (dcSideW > pk.watts) Object.assign(pk, { watts: dcSideW, amps: dcSideW / V, hour: h });
+      pk.acW = Math.max(pk.acW, acW);
+      pk.acSurgeW = Math.max(pk.acSurgeW, acW + acExtra);
+      pk.surgeAmps = Math.max(pk.surgeAmps, (dcSideW + dcSideExtra) / V);
+    }
+  }
+  return pk;
+}
+
+// Inverter, main fuse and BMS checks from the worst-case peak
+function protectionSizing(pk, settings) {
+  const pickSize = (sizes, need) => sizes.find((x) => x >= need) ?? null;
+  let inverterW = pk.acW > 0 ? pickSize(INVERTER_SIZES_W, pk.acW * 1.25) : 0;
+  // Typical inverters surge to ~2× continuous; step up until the surge fits
+  while (inverterW != null && inverterW > 0 && inverterW * 2 < pk.acSurgeW)
+    inverterW = pickSize(INVERTER_SIZES_W, inverterW + 1);
+  return {
+    inverterW,
+    fuseA: pickSize(FUSE_SIZES_A, pk.amps * 1.25),
+    bmsOk: settings.bmsA >= pk.amps,
+    bmsSurgeOk: settings.bmsSurgeA >= pk.surgeAmps,
+  };
+}
+
+function renderPeakReport(pk) {
+  const s = state.settings;
+  const sz = protectionSizing(pk, s);
+  const verdict = (ok) => `<span class="badge ${ok ? "" : "danger"}">${ok ? "PASS" : "FAIL"}</span>`;
+  const size = (x, unit) => (x == null ? "Above catalog — split the load" : `${x.toLocaleString()} ${unit}`);
+  const rows = [
+    ["AC continuous (worst case)", `${fmt(pk.acW)} W · ${fmt(pk.acW / s.mainsV)} A @ ${s.mainsV} V ${s.mainsHz} Hz`, pk.acW > 0 ? `Inverter ≥ ${fmt(pk.acW * 1.25)} W → ${size(sz.inverterW, "W")}` : "No AC loads"],
+    ["AC surge", `${fmt(pk.acSurgeW)} W`, pk.acW > 0 ? `Inverter surge (2×) ${sz.inverterW ? fmt(sz.inverterW * 2) + " W" : "—"}` : ""],
+    ["DC continuous at bank", `${fmt(pk.amps)} A @ ${s.voltage} V`, `Main fuse ${size(sz.fuseA, "A")}`],
+    ["DC surge at bank", `${fmt(pk.surgeAmps)} A`, ""],
+    ["BMS continuous", `${fmt(s.bmsA)} A`, verdict(sz.bmsOk)],
+    ["BMS surge", `${fmt(s.bmsSurgeA)} A`, verdict(sz.bmsSurgeOk)],
+  ];
+  $("#peakReport").innerHTML = `
+    <table>
+      <thead><tr><th>Item</th><th class="center">Value</th><th>Recommendation / check</th></tr></thead>
+      <tbody>${rows
+        .map(([k, v, rec]) => `<tr><td>${k}</td><td class="center">${v}</td><td>${rec}</td></tr>`)
+        .join("")}</tbody>
+    </table>
+    <div class="note" style="margin-top:6px">Worst hour starts ${hourLabel(pk.hour)}.</div>`;
+}
+
+// DC wiring (ABYC voltage drop + ampacity)
+function requiredGauge(amps, runFt, V, dropPct) {
+  const cm = (10.75 * amps * 2 * runFt) / (V * (dropPct / 100));
+  return WIRE_GAUGES.find((g) => g.cm >= cm && g.amps >= amps) ?? null;
+}
+
+// Max DC current a source pushes toward the bank
+function genCurrentA(e, V) {
+  const qty = e.qty || 1;
+  if (e.type === "Solar") return (qty * (e.panelW || 0) * (e.panels || 0)) / V;
+  if (e.type === "Wind") return (qty * (e.ratedW || 0)) / V;
+  if (e.type === "Hydro") return (qty * Math.max(0, ...(e.curve || []).map((p) => p[1]))) / V;
+  if (e.type === "Fuel Cell") return (qty * (e.outW || 0)) / V;
+  // Cold alternator at full speed, unless a DC-DC charger caps the run to the bank
+  if (e.type === "Alternator" && e.altRatedA != null) return qty * (e.dcdc ? e.dcdcLimitA || 0 : e.altRatedA);
+  return qty * (e.dcAmps || 0);
+}
+
+function wiringCircuits() {
+  const V = state.settings.voltage;
+  const out = [];
+  state.rows.forEach((r, i) => {
+    if (r.type !== "DC" || !(r.runFt > 0)) return;
+    const critical = CRITICAL_CATS.includes(r.category) || /\b(nav|running|anchor)\b/i.test(r.name);
+    out.push({ name: r.name, amps: (rowRatedW(r) * (r.qty || 0)) / V, runFt: r.runFt, dropPct: critical ? 3 : 10, awg: r.awg, rowIdx: i });
+  });
+  for (const e of state.gen) {
+    if (e.runFt > 0) out.push({ name: e.name, amps: genCurrentA(e, V), runFt: e.runFt, dropPct: 3, awg: e.awg });
+  }
+  return out;
+}
+
+function renderWiringReport() {
+  const V = state.settings.voltage;
+  const label = (g) => (g ? `${g.awg} AWG (${g.mm2} mm²)` : "Beyond 4/0 — parallel runs");
+  const circuits = wiringCircuits();
+  $$("#tbody tr").forEach((tr) => tr.children[13]?.firstElementChild.classList.remove("danger"));
+  if (!circuits.length) {
+    $("#wiringReport").innerHTML = `<div class="muted">Enter a run length on DC load rows or generation sources to check wire gauges.</div>`;
+    return;
+  }
+  const rows = circuits.map((c) => {
+    const g3 = requiredGauge(c.amps, c.runFt, V, 3),
+      g10 = requiredGauge(c.amps, c.runFt, V, 10);
+    const need = c.dropPct === 3 ? g3 : g10;
+    const installedIdx = WIRE_GAUGES.findIndex((g) => g.awg === c.awg);
+    let status = `<span class="muted">—</span>`;
+    if (installedIdx >= 0) {
+      const under = !need || installedIdx < WIRE_GAUGES.indexOf(need);
+      status = under ? `<span class="badge danger">Undersized</span>` : `<span class="badge">OK</span>`;
+      if (under && c.rowIdx != null) tbody.children[c.rowIdx]?.children[13].firstElementChild.classList.add("danger");
+    }
+    return `<tr>
+      <td>${escapeHtml(c.name)}</td>
+      <td class="center">${fmt(c.amps)} A</td>
+      <td class="center">${fmt(c.runFt)} ft</td>
+      <td class="center">${c.dropPct}%</td>
+      <td>${label(g3)}</td>
+      <td>${label(g10)}</td>
+      <td class="center">${c.awg ? `${c.awg} AWG` : "—"}</td>
+      <td class="center">${status}</td>
+    </tr>`;
+  });
+  $("#wiringReport").innerHTML = `
+    <table>
+      <thead><tr><th>Circuit</th><th class="center">Amps</th><th class="center">Run</th><th class="center">Limit</th><th>Min @ 3%</th><th>Min @ 10%</th><th class="center">Installed</th><th class="center">Status</th></tr></thead>
+      <tbody>${rows.join("")}</tbody>
+    </table>
+    <div class="note" style="margin-top:6px">One-way run at ${V} V; round trip (2 × run) is used for the drop.</div>`;
+}
+
+// Nameplate watts of one unit (AC rows on their AC side)
+function rowRatedW(r) {
+  if (r.entry === "W") return r.value || 0;
+  return (r.value || 0) * (r.type === "AC" ? state.settings.mainsV || DEFAULTS.mainsV : state.settings.voltage);
+}
+
+const INV_MODE_LABELS = { demand: "On demand (while AC loads run)", always: "Always on", window: "Fixed window" };
+
+// Hours the inverter is switched on during a day in `modes`, as 24 hourly fractions. On
+// demand, each AC row keeps it on for its run hours spread over the row's window;
+// overlapping rows share those hours (capped at a full hour each).
+function inverterSchedule(s = state.settings, modes = TYPICAL_DAY.modes) {
+  let perHour;
+  if (s.invMode === "always") perHour = Array(24).fill(1);
+  else if (s.invMode === "window") perHour = scheduleHours(s.invWindow);
+  else {
+    perHour = Array(24).fill(0);
+    for (const r of state.rows) {
+      if (r.type !== "AC" || !(r.qty > 0)) continue;
+      const hours = clamp(modes.reduce((t, id) => t + rowHours(r, id), 0), 0, 24);
+      spreadDaily(hours, scheduleHours(r.sched)).forEach((x, h) => (perHour[h] += x));
+    }
+    perHour = perHour.map((x) => Math.min(1, x));
+  }
+  return { perHour, dayHours: perHour.reduce((t, x) => t + x, 0) };
+}
+
+// Average inverter draw while on with nothing running: full idle, or search-mode pulses
+// for the configured share of those hours
+function inverterIdleW(s) {
+  const f = (s.invSearchPct || 0) / 100;
+  return s.invStandby * (1 - f) + (s.invSearchW ?? DEFAULTS.invSearchW) * f;
 }
+
+// Share of C20 capacity delivered at `amps`; never above 1 for slow discharges
+function peukertFactor(ratedAh, amps, k) {
+  if (!(ratedAh > 0) || !(amps > 0) || k <= 1) return 1;
+  return Math.min(1, Math.pow(ratedAh / 20 / amps, k - 1));
 }
 
+// Smallest C with C × peukertFactor(C) ≥ requiredAh
+function peukertNameplateAh(requiredAh, amps, k) {
+  if (!(amps > 0) || k <= 1 || requiredAh >= 20 * amps) return requiredAh;
+  return Math.pow(requiredAh * Math.pow(20 * amps, k - 1), 1 / k);
+}
 
+function tempFactor(chem, ambient) {
+  const coef = DEFAULTS.tempCoefByChem[chem] ?? 0.6;
+  return clamp(1 - (coef / 100) * Math.max(0, 25 - ambient), 0.3, 1);
+}
 
 function rowWh(r, hours, duty, qty) {
   const v = state.settings.voltage,
@@ -719,7 +2105,7 @@ function rowWh(r, hours, duty, qty) {
   if (h <= 0) return 0;
   if (r.type === "AC") {
     if (r.entry === "W") return ((r.value || 0) * h) / eff;
-    return ((r.value || 0) * 120 * h) / eff;
+    return ((r.value || 0) * (state.settings.mainsV || DEFAULTS.mainsV) * h) / eff;
   } else {
     if (r.entry === "W") return (r.value || 0) * h;
     return (r.value || 0) * v * h;
@@ -737,6 +2123,12 @@ function exportCSV() {
     "Hours_Underway",
     "Duty_%",
     "Qty",
+    "Schedule",
+    "Group",
+    "Surge_x",
+    "Run_ft",
+    "AWG",
+    ...state.modes.map((m) => `Hours_${m.name}`),
   ];
   const rows = state.rows.map((r) => [
     r.name,
@@ -748,6 +2140,12 @@ function exportCSV() {
     r.hSail,
     r.duty,
     r.qty,
+    r.sched || "",
+    r.group || "",
+    r.surge ?? 1,
+    r.runFt || 0,
+    r.awg || "",
+    ...state.modes.map((m) => rowHours(r, m.id)),
   ]);
   const netText = unitMode === "Wh" ? $("#netWhDay").textContent : $("#netAhDay").textContent;
   const totals = [
@@ -777,8 +2175,2208 @@ function exportCSV() {
   URL.revokeObjectURL(url);
 }
 
-// Defaults
-function seedDefaults() {
+// CSV import: the exportCSV layout plus spreadsheet variants (any column order,
+// units in headers like "Power (W)" or "Run (m)", ";" or tab delimiters, decimal commas)
+const CSV_COLUMNS = {
+  name: ["name", "load", "loadname", "item", "itemname", "device", "equipment", "description"],
+  category: ["category", "cat"],
+  type: ["type", "dcac", "acdc", "supply"],
+  entry: ["entry", "entrytype", "unit", "units"],
+  value: ["value", "rating", "wa"],
+  watts: ["watts", "power", "powerw", "w"],
+  amps: ["amps", "current", "currenta", "a"],
+  hAnchor: ["hoursanchor", "hoursatanchor", "anchorhours", "anchor", "hanchor"],
+  hSail: ["hoursunderway", "underwayhours", "underway", "hourssail", "sailhours", "sail", "hsail"],
+  duty: ["duty", "dutycycle"],
+  qty: ["qty", "quantity", "count", "number", "no"],
+  sched: ["schedule", "when", "sched"],
+  group: ["group", "runstogether"],
+  surge: ["surge", "surgex", "surgefactor"],
+  runFt: ["run", "runft", "cablerun", "runlength", "length"],
+  awg: ["awg", "gauge", "wiregauge"],
+};
+const FT_PER_M = 3.28084;
+
+// Split text into rows of cells; quotes may wrap delimiters, newlines and "" escapes
+function parseCSVText(text, delim) {
+  const rows = [];
+  let row = [],
+    cell = "",
+    quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') (cell += '"'), i++;
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') quoted = true;
+    else if (c === delim) row.push(cell), (cell = "");
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell), rows.push(row), (row = []), (cell = "");
+    } else cell += c;
+  }
+  if (cell !== "" || row.length) row.push(cell), rows.push(row);
+  return rows;
+}
+
+// Delimiter that occurs most in the header line (outside quotes)
+function sniffDelimiter(text) {
+  const line = text.split(/\r?\n/)[0].replace(/"[^"]*"/g, "");
+  return [",", ";", "\t"].reduce((best, d) => (line.split(d).length > line.split(best).length ? d : best), ",");
+}
+
+// "Power (W)" → { key: "power", unit: "w" }; "Run_ft" → { key: "runft", unit: "" }
+function csvHeaderKey(h) {
+  const unit = (String(h).match(/[([]([^)\]]*)[)\]]/)?.[1] || "").trim().toLowerCase();
+  const key = String(h)
+    .replace(/[([][^)\]]*[)\]]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+  return { key, unit };
+}
+
+function mapCSVHeaders(headers) {
+  const cols = {};
+  headers.forEach((h, i) => {
+    const { key, unit } = csvHeaderKey(h);
+    const field = Object.keys(CSV_COLUMNS).find((f) => CSV_COLUMNS[f].includes(key));
+    if (field && !(field in cols)) cols[field] = { i, unit };
+  });
+  return cols;
+}
+
+// Unit suffixes a cell may carry, per column ("60 W", "8 h", "50%")
+const CSV_UNITS = {
+  value: "w|watts?|a|amps?",
+  watts: "w|watts?",
+  amps: "a|amps?",
+  hAnchor: "h|hrs?|hours?",
+  hSail: "h|hrs?|hours?",
+  duty: "%",
+  surge: "x",
+  runFt: "ft|feet",
+};
+
+// The whole cell must be a number, optionally with one of `units` after it; "1,5" is read
+// with a decimal comma in ";"/tab files. Thousands separators ("1,200", "1.200,5") are
+// dropped and reported through warn(); anything else is NaN so the row is rejected.
+function csvNumber(v, decimalComma, units = "", warn = () => {}) {
+  const cellText = String(v ?? "").trim();
+  if (cellText === "") return null;
+  let t = units ? cellText.replace(new RegExp(`\\s*(${units})$`, "i"), "") : cellText;
+  if (decimalComma) t = t.replace(/\s/g, "");
+  const [dec, group] = decimalComma ? [",", "."] : [".", ","];
+  if (new RegExp(`^[-+]?\\d{1,3}(\\${group}\\d{3})+(\\${dec}\\d+)?$`).test(t)) {
+    t = t.split(group).join("");
+    warn(`"${cellText}" read as ${t.replace(",", ".")} (thousands separator dropped)`);
+  }
+  if (decimalComma) t = t.replace(",", ".");
+  return /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(t) ? Number(t) : NaN;
+}
+
+// → { rows: [{ line, row, errors, warnings }], error } ; rows with errors are not imported
+function parseLoadsCSV(text) {
+  text = text.replace(/^\uFEFF/, "");
+  const delim = sniffDelimiter(text);
+  const table = parseCSVText(text, delim);
+  const cols = mapCSVHeaders(table[0] || []);
+  if (!cols.name) return { rows: [], error: "No Name column found in the header row." };
+  if (!cols.value && !cols.watts && !cols.amps)
+    return { rows: [], error: "No Value, Watts or Amps column found in the header row." };
+  const decimalComma = delim !== ",";
+  const out = [];
+  for (let li = 1; li < table.length; li++) {
+    const cells = table[li];
+    if (cells.every((c) => String(c).trim() === "")) continue;
+    if (/^summary$/i.test(String(cells[0]).trim())) break; // exportCSV appends KPIs below the rows
+    const cell = (f) => (cols[f] ? String(cells[cols[f].i] ?? "").trim() : "");
+    const errors = [],
+      warnings = [];
+    const warn = (msg) => warnings.push(msg);
+    const row = { name: cell("name") };
+    if (!row.name) errors.push("Name is empty");
+
+    if (cols.category) {
+      const c = CATS.find((x) => x.toLowerCase() === cell("category").toLowerCase());
+      if (c) row.category = c;
+      else if (cell("category")) {
+        row.category = "Misc";
+        warnings.push(`Category "${cell("category")}" → Misc`);
+      }
+    }
+    if (cols.type && cell("type")) {
+      const t = cell("type").toUpperCase();
+      if (t.startsWith("AC")) row.type = "AC";
+      else if (t.startsWith("DC")) row.type = "DC";
+      else errors.push(`Type "${cell("type")}" is not DC or AC`);
+    }
+
+    // Value: an explicit Entry column wins, then the header unit, then a unit in the cell
+    const src = ["value", "watts", "amps"].find((f) => cols[f] && cell(f) !== "");
+    if (!src) errors.push("No value");
+    else {
+      const raw = cell(src);
+      row.value = csvNumber(raw, decimalComma, CSV_UNITS[src], warn);
+      const headerUnit = cols[src].unit;
+      let entry =
+        src === "watts" ? "W" : src === "amps" ? "A" : headerUnit === "w" ? "W" : headerUnit === "a" ? "A" : null;
+      if (!entry && /\d\s*(w|watts?)\b/i.test(raw)) entry = "W";
+      if (!entry && /\d\s*(a|amps?)\b/i.test(raw)) entry = "A";
+      const e = cell("entry").toUpperCase();
+      if (e) entry = e.startsWith("W") ? "W" : e.startsWith("A") ? "A" : entry;
+      if (e && !/^[WA]/.test(e)) errors.push(`Entry "${cell("entry")}" is not W or A`);
+      row.entry = entry || "W";
+    }
+    const numField = (f, scale = 1) => {
+      if (!cols[f] || cell(f) === "") return;
+      const units = f === "runFt" && scale === FT_PER_M ? "m|meters|metres" : CSV_UNITS[f];
+      const n = csvNumber(cell(f), decimalComma, units, warn);
+      row[f] = Number.isFinite(n) ? n * scale : NaN;
+    };
+    numField("hAnchor");
+    numField("hSail");
+    numField("duty", cols.duty && /^(fraction|0-1)$/.test(cols.duty.unit) ? 100 : 1);
+    numField("qty");
+    numField("surge");
+    numField("runFt", cols.runFt && /^(m|meters|metres)$/.test(cols.runFt.unit) ? FT_PER_M : 1);
+    if (row.runFt != null && Number.isFinite(row.runFt)) row.runFt = Math.round(row.runFt * 10) / 10;
+    if (cell("sched")) row.sched = cell("sched");
+    if (cell("group")) row.group = cell("group");
+    if (cell("awg")) row.awg = cell("awg").replace(/\s*awg$/i, "");
+    // "Hours_<mode name>" columns fill the hours of user modes with that name
+    for (const m of state.modes) {
+      const i = table[0].findIndex((h) => csvHeaderKey(h).key === "hours" + csvHeaderKey(m.name).key);
+      const n = i < 0 || String(cells[i] ?? "").trim() === "" ? null : csvNumber(cells[i], decimalComma, CSV_UNITS.hAnchor, warn);
+      if (n == null) continue;
+      if (!Number.isFinite(n) || n < 0 || n > 24) errors.push(`Hours ${m.name}: "${cells[i]}" is not 0–24`);
+      else row.hours = { ...(row.hours || {}), [m.id]: n };
+    }
+
+    // Same limits as scenario files
+    for (const [k, v] of Object.entries(row)) {
+      if (k === "name" || !SCENARIO_FIELDS.row[k]) continue;
+      const res = checkField(SCENARIO_FIELDS.row[k], v);
+      if (res.error) errors.push(`${k}: ${Number.isNaN(v) ? `"${cell(k === "value" ? src : k)}" is not a number` : res.error}`);
+    }
+    out.push({ line: li + 1, row, errors, warnings });
+  }
+  return { rows: out, error: out.length ? null : "No load rows found." };
+}
+
+let csvPending = null;
+function renderCSVPreview(fileName, parsed) {
+  const box = $("#csvPreview");
+  box.style.display = "";
+  csvPending = parsed.error ? null : parsed;
+  if (parsed.error) {
+    box.innerHTML = `<b>${escapeHtml(fileName)}</b>: <span class="danger">${escapeHtml(parsed.error)}</span>
+      <div class="toolbar"><button data-csv="cancel">Close</button></div>`;
+    return;
+  }
+  const good = parsed.rows.filter((x) => !x.errors.length).length;
+  const bad = parsed.rows.length - good;
+  box.innerHTML = `<b>${escapeHtml(fileName)}</b>: ${good} row(s) ready${bad ? `, <span class="danger">${bad} with errors will be skipped</span>` : ""}.
+    <div style="overflow: auto; max-height: 320px; margin: 8px 0">
+      <table>
+        <thead><tr><th class="center">Line</th><th>Name</th><th>Category</th><th>Type</th><th class="center">Value</th>
+          <th class="center">Anchor / Underway h</th><th class="center">Duty %</th><th class="center">Qty</th><th>Status</th></tr></thead>
+        <tbody>${parsed.rows
+          .map(
+            ({ line, row: r, errors, warnings }) => `<tr>
+            <td class="center">${line}</td>
+            <td>${escapeHtml(r.name)}</td>
+            <td>${escapeHtml(r.category || CATS[0])}</td>
+            <td>${r.type || "DC"}</td>
+            <td class="center">${Number.isFinite(r.value) ? fmt(r.value) : "—"} ${r.entry || ""}</td>
+            <td class="center">${r.hAnchor ?? 0} / ${r.hSail ?? 0}</td>
+            <td class="center">${r.duty ?? 100}</td>
+            <td class="center">${r.qty ?? 1}</td>
+            <td>${
+              errors.length
+                ? `<span class="danger">${escapeHtml(errors.join("; "))}</span>`
+                : warnings.length
+                  ? `<span class="muted">${escapeHtml(warnings.join("; "))}</span>`
+                  : "OK"
+            }</td>
+          </tr>`
+          )
+          .join("")}</tbody>
+      </table>
+    </div>
+    <div class="toolbar">
+      <button class="primary" data-csv="append" ${good ? "" : "disabled"}>Append ${good} row(s)</button>
+      <button data-csv="replace" ${good ? "" : "disabled"}>Replace all rows</button>
+      <button data-csv="cancel">Cancel</button>
+    </div>`;
+}
+
+$("#csvPreview").addEventListener("click", (ev) => {
+  const act = ev.target?.dataset?.csv;
+  if (!act) return;
+  if (act !== "cancel" && csvPending) {
+    const rows = csvPending.rows.filter((x) => !x.errors.length).map((x) => x.row);
+    if (act === "replace") {
+      if (!confirm(`Replace all ${state.rows.length} load rows with ${rows.length} imported row(s)?`)) return;
+      state.rows = [];
+      tbody.innerHTML = "";
+    }
+    rows.forEach((r) => addRow(r));
+    recalc();
+    toast(`Imported ${rows.length} load row(s).`);
+  }
+  csvPending = null;
+  $("#csvPreview").style.display = "none";
+  $("#csvPreview").innerHTML = "";
+});
+$("#importCsv").addEventListener("click", () => $("#importCsvFile").click());
+$("#importCsvFile").addEventListener("change", async (ev) => {
+  const file = ev.target.files[0];
+  ev.target.value = "";
+  if (file) renderCSVPreview(file.name, parseLoadsCSV(await file.text()));
+});
+
+// Print report: a self-contained document assembled just before printing
+// (settings, loads by category, generation, KPIs, layout and chart snapshots)
+function chartSnapshot(id, title) {
+  const canvas = document.getElementById(id);
+  const chart = window.Chart && typeof Chart.getChart === "function" ? Chart.getChart(canvas) : null;
+  let body = "";
+  if (chart) {
+    chart.stop();
+    chart.update("none"); // finish any running animation before capturing
+    body = `<img src="${chart.toBase64Image()}" alt="${escapeAttr(title)}"/>`;
+  } else {
+    body = $(`#${id}Fallback`)?.innerHTML || "";
+  }
+  return body ? `<figure class="print-chart"><figcaption>${escapeHtml(title)}</figcaption>${body}</figure>` : "";
+}
+
+function buildPrintReport() {
+  const s = state.settings,
+    V = s.voltage;
+  const show = (wh) => (unitMode === "Wh" ? `${fmt(wh)} Wh` : `${fmt(wh / V)} Ah`);
+
+  // Charts only exist while the Reports tab is rendered
+  const activeTab = $(".tab.active")?.id.replace("tab-", "") || "loads";
+  setTab("reports");
+  const charts = [
+    chartSnapshot("reportsBar", "Daily generation vs consumption"),
+    chartSnapshot("reportsStacked", "Contributors"),
+    chartSnapshot("chartSoc", "State of charge over the trip"),
+  ].join("");
+  setTab(activeTab);
+
+  const settings = [
+    ["System voltage", `${V} V`],
+    ["Chemistry", s.chemistry],
+    ["Usable DoD", `${fmt(s.dod)}%`],
+    ["Reserve", `${fmt(s.reserve)}%`],
+    ["Days without charging", s.days],
+    [
+      "Weather",
+      state.weather.length
+        ? WEATHER_PATTERNS.filter((p) => p.id !== "sunny")
+            .map((p) => {
+              const n = state.weather.filter((w) => w.pattern === p.id).length;
+              const cur = state.wxPatterns.find((x) => x.id === p.id);
+              return n ? `${n} × ${p.name} (solar ${fmt(cur.solarPct)}%, wind ${fmt(cur.windPct)}%)` : "";
+            })
+            .filter(Boolean)
+            .join(", ") || "Sunny"
+        : "Sunny",
+    ],
+    ["Mains (AC)", `${s.mainsV} V / ${s.mainsHz} Hz`],
+    ["Inverter efficiency / standby", `${fmt(s.invEff)}% / ${fmt(s.invStandby)} W`],
+    ["Inverter search mode", `${fmt(s.invSearchW)} W for ${fmt(s.invSearchPct)}% of on-hours`],
+    ["Inverter on", `${INV_MODE_LABELS[s.invMode]}${s.invMode === "window" ? ` ${s.invWindow}` : ""}`],
+    ["Derate for age", `${fmt(s.derate)}%`],
+    ["Peukert exponent", s.peukert],
+    ["Ambient temperature", `${fmt(s.ambientC)} °C`],
+    ["Actual battery", `${fmt(s.actualBankAh)} Ah`],
+    ["BMS continuous / surge", `${fmt(s.bmsA)} A / ${fmt(s.bmsSurgeA)} A`],
+  ];
+
+  const byCat = new Map();
+  for (const r of state.rows) byCat.set(r.category, [...(byCat.get(r.category) || []), r]);
+  // Per day = average over the trip days, like the LOADS KPI
+  const tripDayList = tripDays();
+  const rowDayWh = (r) =>
+    tripDayList.reduce((t, d) => t + rowWh(r, d.modes.reduce((h, id) => h + rowHours(r, id), 0), (r.duty || 0) / 100, r.qty || 0), 0) /
+    tripDayList.length;
+  const modes = allModes();
+  const loads = [...byCat.entries()]
+    .map(([cat, rows]) => {
+      const total = rows.reduce((a, r) => a + rowDayWh(r), 0);
+      return `<tbody>
+        <tr class="print-group"><th colspan="7">${escapeHtml(cat)}</th></tr>
+        ${rows
+          .map(
+            (r) => `<tr>
+          <td>${escapeHtml(r.name)}</td>
+          <td>${r.type}</td>
+          <td class="center">${fmt(r.value)} ${r.entry}</td>
+          <td class="center">${modes.map((md) => fmt(rowHours(r, md.id))).join(" / ")}</td>
+          <td class="center">${fmt(r.duty)}%</td>
+          <td class="center">${r.qty}</td>
+          <td class="center">${show(rowDayWh(r))}</td>
+        </tr>`
+          )
+          .join("")}
+        <tr class="print-subtotal"><td colspan="6">${escapeHtml(cat)} subtotal</td><td class="center">${show(total)}</td></tr>
+      </tbody>`;
+    })
+    .join("");
+
+  const gen = state.gen
+    .map(
+      (e) => `<tr>
+      <td>${escapeHtml(e.name)}</td>
+      <td>${escapeHtml(e.type)}</td>
+      <td>${escapeHtml(detailsText(e))}</td>
+      <td class="center">${e.qty}</td>
+      <td class="center">${show(genEntryWh(e, V))}</td>
+    </tr>`
+    )
+    .join("");
+
+  const kpis = $$(".family .kpi:not(.hidden)")
+    .map((k) => `<div class="kpi"><div class="label">${escapeHtml($(".label", k).textContent)}</div><div class="value">${escapeHtml($(".value", k).textContent)}</div></div>`)
+    .join("");
+
+  const chosen = state.bankConfig;
+  const chosenModule = chosen && BATTERY_MODULES.find((m) => m.id === chosen.moduleId);
+  const scenario = readScenarios().find((sc) => sc.id === state.scenarioId);
+
+  $("#printReport").innerHTML = `
+    <h1>Battery System Report${scenario ? ` — ${escapeHtml(scenario.name)}` : ""}</h1>
+    <div class="muted">${escapeHtml(new Date().toLocaleString())}</div>
+
+    <section class="print-section">
+      <h2>System settings</h2>
+      <table>${settings.map(([k, v]) => `<tr><td>${k}</td><td>${escapeHtml(String(v))}</td></tr>`).join("")}</table>
+    </section>
+
+    <section class="print-section">
+      <h2>Summary</h2>
+      <div class="summary">${kpis}</div>
+    </section>
+
+    <section class="print-section">
+      <h2>Recommended battery</h2>
+      <table>
+        <tr><td>Required usable / nameplate</td><td>${escapeHtml($("#bankAh").textContent)}</td></tr>
+        <tr><td>Suggested module layout</td><td>${escapeHtml($("#suggestLayout").textContent)}</td></tr>
+        ${chosenModule ? `<tr><td>Installed (Bank Builder)</td><td>${chosen.series}S${chosen.parallel}P × ${escapeHtml(chosenModule.name)}</td></tr>` : ""}
+      </table>
+    </section>
+
+    <section class="print-section print-break">
+      <h2>Loads by category</h2>
+      <table>
+        <thead><tr><th>Name</th><th>Type</th><th class="center">Rating</th><th class="center">Hours ${escapeHtml(modes.map((md) => md.name.toLowerCase()).join(" / "))}</th>
+          <th class="center">Duty</th><th class="center">Qty</th><th class="center">Per day</th></tr></thead>
+        ${loads || `<tbody><tr><td colspan="7" class="muted">No loads.</td></tr></tbody>`}
+      </table>
+    </section>
+
+    <section class="print-section">
+      <h2>Generation &amp; charging</h2>
+      <table>
+        <thead><tr><th>Name</th><th>Type</th><th>Details</th><th class="center">Qty</th><th class="center">Per day</th></tr></thead>
+        <tbody>${gen || `<tr><td colspan="5" class="muted">No sources.</td></tr>`}</tbody>
+      </table>
+    </section>
+
+    ${charts ? `<section class="print-section print-break"><h2>Charts</h2>${charts}</section>` : ""}`;
+}
+
+window.addEventListener("beforeprint", () => {
+  buildPrintReport();
+  document.body.classList.add("printing");
+});
+window.addEventListener("afterprint", () => document.body.classList.remove("printing"));
+
+// Electric range
+// Speeds are entered per hour in the chosen unit; distance comes out in the matching unit.
+const SPEED_UNITS = {
+  knots: { dist: "nm", perKnot: 1 },
+  kmh: { dist: "km", perKnot: 1.852 },
+  mph: { dist: "mi", perKnot: 1.15078 },
+};
+
+const KW_PER_HP = 0.7457;
+
+// "3 kn @ 25 A, 4 kn @ 55 A, 5 kn @ 1200 W" → [{ kn, a }] sorted by speed.
+// Speeds without a unit use the range tab's unit; watts convert to amps at system V.
+function parsePropPoints(text, defaultUnit, V) {
+  const points = [],
+    errors = [];
+  const units = { kn: "knots", kt: "knots", kts: "knots", knot: "knots", knots: "knots", kmh: "kmh", "km/h": "kmh", mph: "mph" };
+  for (const part of String(text || "").split(/[,;\n]+/)) {
+    const p = part.trim();
+    if (!p) continue;
+    const m = p.match(/^([\d.]+)\s*(kn|kts?|knots?|km\/h|kmh|mph)?\s*[@:=]\s*([\d.]+)\s*(a|w)?$/i);
+    if (!m) {
+      errors.push(p);
+      continue;
+    }
+    const unit = m[2] ? units[m[2].toLowerCase()] : defaultUnit;
+    const kn = num(m[1]) / SPEED_UNITS[unit].perKnot;
+    const a = (m[4] || "a").toLowerCase() === "w" ? num(m[3]) / V : num(m[3]);
+    if (kn > 0 && a > 0) points.push({ kn, a });
+    else errors.push(p);
+  }
+  points.sort((x, y) => x.kn - y.kn);
+  return { points, errors };
+}
+
+function readPropulsionModel(speedUnit, V) {
+  const kind = ["points", "hull"].includes(propModel.value) ? propModel.value : "manual";
+  if (kind === "points") {
+    const { points, errors } = parsePropPoints(propPoints.value, speedUnit, V);
+    return { kind, points, errors };
+  }
+  if (kind === "hull") {
+    return {
+      kind,
+      lwlFt: Math.max(1, num(hullLwl.value)),
+      dispLb: Math.max(0, num(hullDisp.value)),
+      driveEffPct: clamp(num(driveEff.value), 10, 100),
+    };
+  }
+  return { kind, points: [] };
+}
+
+// Motor amps at a speed (knots). Between measured points the curve follows a power law
+// fitted to the neighbours; below the first point it falls with the cube of speed.
+function propulsionAmps(prop, kn, V) {
+  if (kn <= 0) return 0;
+  if (prop.kind === "hull") {
+    // Displacement-hull estimate: SHP = Disp / (10.665 ÷ SL)³, SL = kn ÷ √LWL
+    const sl = kn / Math.sqrt(prop.lwlFt);
+    const shp = prop.dispLb / Math.pow(10.665 / sl, 3);
+    return (shp * KW_PER_HP * 1000) / ((prop.driveEffPct / 100) * V);
+  }
+  const pts = prop.points || [];
+  if (!pts.length) return 0;
+  if (pts.length === 1 || kn <= pts[0].kn) return pts[0].a * Math.pow(kn / pts[0].kn, 3);
+  let i = pts.findIndex((p) => p.kn >= kn);
+  if (i < 0) i = pts.length - 1; // extrapolate along the last segment
+  const p0 = pts[i - 1],
+    p1 = pts[i];
+  const k = Math.log(p1.a / p0.a) / Math.log(p1.kn / p0.kn);
+  return p0.a * Math.pow(kn / p0.kn, isFinite(k) ? k : 3);
+}
+
+function hullSpeedKn(lwlFt) {
+  return 1.34 * Math.sqrt(lwlFt);
+}
+
+function readRangeInputs() {
+  const speedUnit = SPEED_UNITS[rangeSpeedUnit.value] ? rangeSpeedUnit.value : "knots";
+  const V = state.settings.voltage || DEFAULTS.voltage;
+  const speed = Math.max(0, num(rangeSpeed.value));
+  const prop = readPropulsionModel(speedUnit, V);
+  // Manual mode still scales with speed³ through the slider point when sweeping
+  if (prop.kind === "manual") {
+    const kn = speed / SPEED_UNITS[speedUnit].perKnot;
+    if (kn > 0) prop.points = [{ kn, a: Math.max(0, num(rangeMotorDraw.value)) }];
+  }
+  const motorA =
+    prop.kind === "manual"
+      ? Math.max(0, num(rangeMotorDraw.value))
+      : propulsionAmps(prop, speed / SPEED_UNITS[speedUnit].perKnot, V);
+  return {
+    bankAh: Math.max(0, num(rangeBatteryAh.value)),
+    motorA,
+    hotelA: Math.max(0, num(hotelA.value)),
+    speed,
+    speedUnit,
+    chargerA: rangeUseCharger.checked ? Math.max(0, num(rangeChargerA.value)) : 0,
+    genHours: Math.max(0, num(rangeGenHours.value)),
+    prop,
+  };
+}
+
+// Hours until the usable Ah is spent. While the generator runs (first genHours),
+// the charger offsets the motor; a charger larger than the motor just holds the bank full.
+function rangeRuntime(usableAh, motorA, chargerA, genHours) {
+  if (usableAh <= 0) return 0;
+  if (motorA <= 0) return Infinity;
+  const assistedA = Math.max(0, motorA - chargerA);
+  const assistedAh = assistedA * genHours;
+  if (assistedAh >= usableAh) return usableAh / assistedA;
+  return genHours + (usableAh - assistedAh) / motorA;
+}
+
+// Pure range model: inputs from readRangeInputs(), settings from state.settings
+function rangeModel(inp, settings) {
+  const V = settings.voltage || DEFAULTS.voltage;
+  const drawA = inp.motorA + (inp.hotelA || 0);
+  const usableFrac =
+    (settings.dod / 100) *
+    (1 - (settings.derate || 0) / 100) *
+    tempFactor(settings.chemistry, settings.ambientC ?? DEFAULTS.ambientC) *
+    peukertFactor(inp.bankAh, drawA, settings.peukert || 1);
+  const usableAh = inp.bankAh * usableFrac;
+  const batteryH = rangeRuntime(usableAh, drawA, 0, 0);
+  const chargerH = inp.chargerA > 0 && inp.genHours > 0
+    ? rangeRuntime(usableAh, drawA, inp.chargerA, inp.genHours)
+    : batteryH;
+  const genUsedH = Math.min(inp.genHours, chargerH);
+  return {
+    V,
+    usableAh,
+    usableWh: usableAh * V,
+    motorW: inp.motorA * V,
+    batteryH,
+    batteryDist: batteryH * inp.speed,
+    chargerH,
+    chargerDist: chargerH * inp.speed,
+    // Charge that actually went into motor + hotel draw (a charger above that is capped)
+    chargerAh: Math.min(inp.chargerA, drawA) * genUsedH,
+    distPerAh: drawA > 0 ? inp.speed / drawA : 0,
+    distUnit: SPEED_UNITS[inp.speedUnit].dist,
+  };
+}
+
+// Range at a spread of speeds along the propulsion curve, plus the best distance per Ah
+function rangeSweep(inp, settings, steps = 24) {
+  const perKnot = SPEED_UNITS[inp.speedUnit].perKnot;
+  const V = settings.voltage || DEFAULTS.voltage;
+  const pts = inp.prop.points || [];
+  const kn = inp.speed / perKnot;
+  const maxKn =
+    inp.prop.kind === "hull"
+      ? hullSpeedKn(inp.prop.lwlFt)
+      : inp.prop.kind === "points"
+      ? Math.max(pts.length ? pts[pts.length - 1].kn : 0, kn)
+      : kn * 1.5;
+  if (!(maxKn > 0)) return null;
+  const speeds = [],
+    distances = [],
+    perAh = [];
+  for (let i = 1; i <= steps; i++) {
+    const k = (maxKn * i) / steps;
+    const m = rangeModel({ ...inp, speed: k * perKnot, motorA: propulsionAmps(inp.prop, k, V) }, settings);
+    speeds.push(k * perKnot);
+    distances.push(isFinite(m.chargerDist) ? m.chargerDist : 0);
+    perAh.push(m.distPerAh);
+  }
+  const best = perAh.reduce((b, x, i) => (x > perAh[b] ? i : b), 0);
+  return { speeds, distances, perAh, best };
+}
+
+function fmtHours(h) {
+  if (!isFinite(h)) return "∞";
+  const mins = Math.round(h * 60);
+  return `${Math.floor(mins / 60)} h ${String(mins % 60).padStart(2, "0")} min`;
+}
+
+function calculateRange() {
+  const inp = readRangeInputs();
+  const s = state.settings;
+  const m = rangeModel(inp, s);
+  const dist = (x) => (isFinite(x) ? `${fmt(x)} ${m.distUnit}` : "∞");
+  const withCharger = inp.chargerA > 0 && inp.genHours > 0;
+  const sweep = rangeSweep(inp, s);
+  const speedLabel = rangeSpeedUnit.selectedOptions[0]?.textContent || inp.speedUnit;
+  const rows = [
+    ["Bank", `${fmt(inp.bankAh)} Ah @ ${m.V} V (${s.chemistry})`],
+    ["Usable (DoD/derate/Peukert/temp)", `${fmt(m.usableAh)} Ah / ${fmt(m.usableWh)} Wh`],
+    ["Motor", `${fmt(inp.motorA)} A ≈ ${fmt(m.motorW)} W`],
+    ["Hotel load", `${fmt(inp.hotelA)} A`],
+    ["Runtime — battery only", fmtHours(m.batteryH)],
+    ["Distance — battery only", dist(m.batteryDist)],
+  ];
+  if (withCharger) {
+    rows.push(
+      ["Charger support", `${fmt(inp.chargerA)} A × ${fmt(inp.genHours)} h generator`],
+      ["Runtime — with charger", fmtHours(m.chargerH)],
+      ["Distance — with charger", dist(m.chargerDist)],
+      ["Charger Ah used underway", `${fmt(m.chargerAh)} Ah`]
+    );
+  } else {
+    rows.push(["Charger support", "Not included"]);
+  }
+  rows.push(["Distance per Ah", `${fmt(m.distPerAh)} ${m.distUnit}/Ah`]);
+  if (sweep) {
+    rows.push([
+      "Best distance per Ah",
+      `${fmt(sweep.perAh[sweep.best])} ${m.distUnit}/Ah @ ${fmt(sweep.speeds[sweep.best])} ${speedLabel}`,
+    ]);
+  }
+  rangeResults.innerHTML = `
+    <table>
+      <tbody>${rows
+        .map(([k, v]) => `<tr><td>${escapeHtml(k)}</td><td class="center">${escapeHtml(v)}</td></tr>`)
+        .join("")}</tbody>
+    </table>`;
+  if (sweep && typeof window.renderRangeCurve === "function") {
+    window.renderRangeCurve({ ...sweep, speedLabel, distUnit: m.distUnit });
+  }
+  return m;
+}
+
+function syncPropulsionUi() {
+  const kind = propModel.value;
+  $("#propPointsWrap").style.display = kind === "points" ? "" : "none";
+  $("#propHullWrap").style.display = kind === "hull" ? "" : "none";
+  rangeMotorDraw.disabled = kind !== "manual";
+  const inp = readRangeInputs();
+  $("#motorVal").textContent = kind === "manual" ? rangeMotorDraw.value : fmt(inp.motorA);
+  propPointsNote.textContent = inp.prop.errors?.length
+    ? `Could not read: ${inp.prop.errors.join(", ")}`
+    : "Comma-separated, e.g. 3 kn @ 25 A, 4 kn @ 55 A, 5 kn @ 1200 W.";
+}
+[propModel, propPoints, hullLwl, hullDisp, driveEff, rangeSpeed, rangeSpeedUnit, rangeMotorDraw].forEach((el) =>
+  el.addEventListener("input", () => {
+    syncPropulsionUi();
+    if (state.legs.length) recalc(); // motor legs follow the propulsion curve
+  })
+);
+syncPropulsionUi();
+
+// Hourly simulation
+function hourLabel(h) {
+  return `${String(h).padStart(2, "0")}:00`;
+}
+
+// "18-23", "20-6" (wraps midnight), "7-8,12-13" → 24 on/off flags; "" or unreadable → all day
+// "7-23" or "7-8,12-13,18-19": the only shapes scheduleHours reads (anything else = all day)
+function validSchedule(text) {
+  const parts = String(text).split(",").map((p) => p.trim().match(/^(\d{1,2})\s*-\s*(\d{1,2})$/));
+  return parts.every((m) => m && +m[1] <= 24 && +m[2] <= 24);
+}
+
+function scheduleHours(sched) {
+  const on = Array(24).fill(0);
+  for (const part of String(sched || "").split(",")) {
+    const m = part.trim().match(/^(\d{1,2})\s*-\s*(\d{1,2})$/);
+    if (!m) continue;
+    const end = +m[2] % 24;
+    let h = +m[1] % 24;
+    do {
+      on[h] = 1;
+      h = (h + 1) % 24;
+    } while (h !== end);
+  }
+  return on.some(Boolean) ? on : on.fill(1);
+}
+
+// Spread a daily total over 24 hourly weights
+function spreadDaily(totalWh, weights) {
+  const sum = weights.reduce((s, x) => s + x, 0);
+  return weights.map((x) => (sum > 0 ? (totalWh * x) / sum : 0));
+}
+
+// A block of `hours` starting at `start`; the last hour may be partial
+function runWindow(start, hours) {
+  const w = Array(24).fill(0);
+  const h = clamp(hours || 0, 0, 24);
+  for (let i = 0; i < Math.ceil(h); i++) w[(start + i) % 24] += Math.min(1, h - i);
+  return w;
+}
+
+function genHourlyWh(e, V) {
+  const hrs = Array.from({ length: 24 }, (_, h) => h);
+  let w;
+  if (e.type === "Solar") {
+    // Daylight centred on noon; its length follows the site when one was estimated
+    const len = e.siteLat != null ? solarGeometry(e.siteLat, e.siteMonth).dayHours : 12;
+    const rise = 12 - len / 2;
+    w = hrs.map((h) => (h + 0.5 > rise && h + 0.5 < rise + len ? Math.sin((Math.PI * (h + 0.5 - rise)) / len) : 0));
+  }
+  else if (GEN_START_HR[e.type] != null)
+    w = runWindow(e.startHr ?? GEN_START_HR[e.type], e.type === "Alternator" ? alternatorHours(e) : e.hours);
+  else w = hrs.map(() => 1);
+  return spreadDaily(genEntryWh(e, V), w);
+}
+
+// Charge current the bank takes at a true SOC (0–1): flat bulk, then a linear taper
+function acceptanceA(soc, ah, chem) {
+  const p = DEFAULTS.chargeByChem[chem] || DEFAULTS.chargeByChem.LFP;
+  if (soc >= 1) return 0;
+  if (soc < p.taperFrom) return p.maxC * ah;
+  return ah * (p.maxC + ((p.endC - p.maxC) * (soc - p.taperFrom)) / (1 - p.taperFrom));
+}
+
+// Advance the bank by `hours` of constant generation/load in 15-min slices. Generation
+// serves loads first; the surplus is clipped by acceptance and what is left is wasted.
+// Returns { level, wastedWh, emptyAfter } (hours into the span when the bank ran flat).
+function stepBank(level, genWh, loadWh, hours, bank) {
+  const n = Math.max(1, Math.ceil(hours / 0.25));
+  const dt = hours / n;
+  let wastedWh = 0,
+    emptyAfter = null;
+  for (let i = 0; i < n; i++) {
+    const net = (genWh - loadWh) / n;
+    if (net >= 0) {
+      const trueSoc = bank.nameplateWh > 0 ? 1 - (bank.usableWh - level) / bank.nameplateWh : 1;
+      const maxWh = acceptanceA(trueSoc, bank.ah, bank.chem) * bank.V * dt;
+      const accepted = Math.max(0, Math.min(net, maxWh, bank.usableWh - level));
+      level += accepted;
+      wastedWh += net - accepted;
+    } else {
+      if (emptyAfter == null && level + net < 0) emptyAfter = i * dt + (level / -net) * dt;
+      level = Math.max(0, level + net);
+    }
+  }
+  return { level, wastedWh, emptyAfter };
+}
+
+// Typical day repeated for `daysCount` days, starting from a full usable bank at 00:00
+// Hour by hour through the trip days (each with its own loadH/genH from dayProfile).
+// loadWh/genWh returned for the chart are the per-hour averages over the trip.
+function simulateHourly(tripDayList, bank) {
+  const daysCount = tripDayList.length;
+  const loadWh = Array(24).fill(0),
+    genWh = Array(24).fill(0);
+  for (const d of tripDayList)
+    for (let h = 0; h < 24; h++) {
+      loadWh[h] += d.loadH[h] / daysCount;
+      genWh[h] += d.genH[h] / daysCount;
+    }
+
+  const bankWh = bank.usableWh;
+  const labels = ["D1 00:00"],
+    soc = [100],
+    wastedWh = [];
+  const daily = { labels: ["Start"], soc: [100] };
+  let level = bankWh,
+    minSoc = 100,
+    minIdx = 0;
+  for (let d = 0; d < daysCount; d++) {
+    for (let h = 0; h < 24; h++) {
+      const st = stepBank(level, tripDayList[d].genH[h], tripDayList[d].loadH[h], 1, bank);
+      level = st.level;
+      wastedWh.push(st.wastedWh);
+      const pct = bankWh > 0 ? (level / bankWh) * 100 : 0;
+      labels.push(`D${d + 1 + Math.floor((h + 1) / 24)} ${hourLabel((h + 1) % 24)}`);
+      soc.push(+pct.toFixed(1));
+      if (pct < minSoc) {
+        minSoc = pct;
+        minIdx = soc.length - 1;
+      }
+    }
+    daily.labels.push(tripDayLabel(tripDayList[d], d));
+    daily.soc.push(soc[soc.length - 1]);
+  }
+  return { labels, soc, loadWh, genWh, wastedWh, minSoc, minIdx, daily };
+}
+
+// Bank builder
+// Series/parallel arrangements of same-chemistry modules reaching requiredAh at V
+function bankOptions(requiredAh, V, chem, sortKey = "price") {
+  return BATTERY_MODULES.filter((m) => m.chem === chem)
+    .map((m) => {
+      const series = V / m.v;
+      if (!Number.isInteger(series) || series > m.maxSeries) return null;
+      const parallel = Math.max(1, Math.ceil(requiredAh / m.ah - 1e-9));
+      const count = series * parallel;
+      return {
+        module: m,
+        V,
+        series,
+        parallel,
+        count,
+        ah: parallel * m.ah,
+        kwh: (parallel * m.ah * V) / 1000,
+        kg: count * m.kg,
+        liters: count * m.liters,
+        price: count * m.price,
+        maxA: parallel * m.maxA,
+        surgeA: parallel * m.surgeA,
+        fits: parallel <= m.maxParallel,
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.fits - a.fits || a[sortKey] - b[sortKey]);
+}
+
+function bankLayoutLabel(o) {
+  return `${o.series}S${o.parallel}P × ${o.module.name}`;
+}
+
+let bankShown = [];
+function renderBankBuilder(nameplateAh) {
+  const sysV = state.settings.voltage;
+  const V = +bankVoltage.value || sysV;
+  const requiredAh = (nameplateAh * sysV) / V;
+  const chosen = state.bankConfig;
+  const chosenModule = chosen && BATTERY_MODULES.find((m) => m.id === chosen.moduleId);
+  $("#bankNeed").textContent =
+    `Needs ${fmt(requiredAh)} Ah nameplate @ ${V} V (${state.settings.chemistry}).` +
+    (chosenModule ? ` Installed: ${chosen.series}S${chosen.parallel}P × ${chosenModule.name}.` : "");
+  bankShown = bankOptions(requiredAh, V, state.settings.chemistry, bankSort.value);
+  if (!bankShown.length) {
+    bankBody.innerHTML = `<tr><td colspan="8" class="muted">No ${escapeHtml(state.settings.chemistry)} module in the catalog builds a ${V} V bank.</td></tr>`;
+    return;
+  }
+  bankBody.innerHTML = bankShown
+    .map(
+      (o, i) => `<tr>
+      <td>${escapeHtml(o.module.name)}</td>
+      <td class="center">${o.series}S${o.parallel}P (${o.count}×)</td>
+      <td class="center">${fmt(o.ah)} Ah / ${fmt(o.kwh)} kWh</td>
+      <td class="center">${fmt(o.kg)} kg</td>
+      <td class="center">${fmt(o.liters)} L</td>
+      <td class="center">$${o.price.toLocaleString()}</td>
+      <td class="center">${o.maxA} / ${o.surgeA} A</td>
+      <td class="center">${
+        o.fits
+          ? `<span class="link" data-idx="${i}">Use</span>`
+          : `<span class="danger">Over ${o.module.maxParallel}P limit</span>`
+      }</td>
+    </tr>`
+    )
+    .join("");
+}
+bankBody.addEventListener("click", (ev) => {
+  const o = bankShown[ev.target?.dataset?.idx];
+  if (!o) return;
+  voltage.value = o.V;
+  actualBankAhEl.value = o.ah;
+  bmsA.value = o.maxA;
+  bmsSurgeA.value = o.surgeA;
+  state.bankConfig = { moduleId: o.module.id, series: o.series, parallel: o.parallel };
+  recalc();
+  toast(`Bank set to ${bankLayoutLabel(o)}.`);
+});
+[bankVoltage, bankSort].forEach((el) => el.addEventListener("input", recalc));
+
+// Passage plan
+const LEG_KINDS = { motor: "Motor", sail: "Sail", anchor: "Anchor", shore: "Shore power" };
+// Speed drives propulsion on motor legs and hydro generators on sail legs
+const LEG_SPEED_KINDS = ["motor", "sail"];
+
+function addLeg(leg) {
+  const l = Object.assign({ id: newId(), kind: "motor", hours: 2, speedKn: 4 }, leg || {});
+  if (!LEG_KINDS[l.kind]) l.kind = "motor";
+  state.legs.push(l);
+  const tr = document.createElement("tr");
+  tr.innerHTML = `
+    <td class="leg-n"></td>
+    <td>
+      <select aria-label="Leg type">${Object.entries(LEG_KINDS)
+        .map(([k, label]) => `<option value="${k}" ${l.kind === k ? "selected" : ""}>${label}</option>`)
+        .join("")}</select>
+    </td>
+    <td><input type="number" min="0" step="0.5" class="qty" aria-label="Leg hours" value="${l.hours}"/></td>
+    <td><input type="number" min="0" step="0.1" class="qty" aria-label="Leg speed (kn)" value="${l.speedKn}"/></td>
+    <td class="center leg-load"></td>
+    <td class="center leg-gen"></td>
+    <td class="center leg-net"></td>
+    <td class="center leg-soc"></td>
+    <td class="center"><button title="Delete" aria-label="Delete leg">✕</button></td>`;
+  legBody.appendChild(tr);
+  const iKind = tr.children[1].firstElementChild,
+    iHours = tr.children[2].firstElementChild,
+    iSpeed = tr.children[3].firstElementChild,
+    iDel = tr.children[8].firstElementChild;
+  const sync = () => {
+    l.kind = iKind.value;
+    l.hours = clamp(num(iHours.value), 0, 10000);
+    l.speedKn = clamp(num(iSpeed.value), 0, 60);
+    iSpeed.disabled = !LEG_SPEED_KINDS.includes(l.kind);
+    recalc();
+  };
+  [iKind, iHours, iSpeed].forEach((el) => el.addEventListener("input", sync));
+  iSpeed.disabled = !LEG_SPEED_KINDS.includes(l.kind);
+  iDel.addEventListener("click", () => {
+    state.legs = state.legs.filter((x) => x !== l);
+    tr.remove();
+    recalc();
+  });
+  recalc();
+}
+$("#addLeg").addEventListener("click", () => addLeg({ kind: legKind.value }));
+$("#clearLegs").addEventListener("click", () => {
+  state.legs = [];
+  legBody.innerHTML = "";
+  recalc();
+});
+
+// Average generation (W) during a passage leg
+function genLegW(e, leg, V) {
+  const qty = e.qty || 1,
+    kind = leg.kind;
+  if (e.type === "Alternator") return kind === "motor" ? qty * alternatorA(e) * V : 0;
+  if (e.type === "Hydro") return kind === "sail" ? qty * curveW(e.curve || [], leg.speedKn || 0) : 0;
+  if (e.type === "AC Charger")
+    return kind === "shore" ? qty * (e.dcAmps || 0) * V * ((e.effPct ?? 100) / 100) : 0;
+  return genEntryWh(e, V) / 24;
+}
+
+// Walk the bank through each leg from full; SOC is % of usable bank, clipped to 0–100
+function simulatePassage(legs, { V, houseW, bank, prop, shoreInputW = Infinity }) {
+  const bankWh = bank.usableWh;
+  let level = bankWh,
+    elapsed = 0,
+    emptyAt = null;
+  const labels = ["Start"],
+    soc = [100];
+  const steps = legs.map((leg, i) => {
+    const h = leg.hours || 0;
+    const legHouseW = houseW[leg.kind] || 0;
+    const propW = leg.kind === "motor" ? propulsionAmps(prop, leg.speedKn || 0, V) * V : 0;
+    const chargerW = (e) => (e.type === "AC Charger" ? genLegW(e, leg, V) : 0);
+    const inputW = state.gen.reduce((t, e) => t + chargerW(e) / Math.max(0.01, (e.effPct ?? 100) / 100), 0);
+    const shoreF = inputW > 0 ? Math.min(1, shoreInputW / inputW) : 1;
+    const genW = state.gen.reduce((sum, e) => sum + genLegW(e, leg, V) - chargerW(e) * (1 - shoreF), 0);
+    const loadWh = (legHouseW + propW) * h,
+      genWh = genW * h,
+      netWh = genWh - loadWh;
+    const st = stepBank(level, genWh, loadWh, h, bank);
+    if (emptyAt == null && st.emptyAfter != null) emptyAt = elapsed + st.emptyAfter;
+    level = st.level;
+    elapsed += h;
+    const pct = bankWh > 0 ? (level / bankWh) * 100 : 0;
+    labels.push(`${i + 1}. ${LEG_KINDS[leg.kind]} ${fmt(h)} h`);
+    soc.push(+pct.toFixed(1));
+    return { loadWh, genWh, netWh, propWh: propW * h, wastedWh: st.wastedWh, soc: pct };
+  });
+  return {
+    steps,
+    hours: elapsed,
+    emptyAt,
+    minSoc: Math.min(...soc),
+    timeline: { labels, soc },
+  };
+}
+
+function renderPassage(sim) {
+  const V = state.settings.voltage;
+  const show = (wh) => (unitMode === "Wh" ? `${fmt(wh)} Wh` : `${fmt(wh / V)} Ah`);
+  sim.steps.forEach((st, i) => {
+    const tr = legBody.children[i];
+    if (!tr) return;
+    $(".leg-n", tr).textContent = i + 1;
+    $(".leg-load", tr).textContent = show(st.loadWh);
+    $(".leg-gen", tr).textContent = show(st.genWh);
+    $(".leg-net", tr).textContent = show(st.netWh);
+    $(".leg-soc", tr).textContent = `${fmt(st.soc)}%`;
+    $(".leg-net", tr).classList.toggle("danger", st.netWh < 0);
+  });
+  if (!sim.steps.length) {
+    passageSummary.textContent = "Add legs to simulate a passage.";
+    return;
+  }
+  const sum = (k) => sim.steps.reduce((s, st) => s + st[k], 0);
+  passageSummary.textContent =
+    `${fmt(sim.hours)} h total • Loads ${show(sum("loadWh"))} (propulsion ${show(sum("propWh"))})` +
+    ` • Gen ${show(sum("genWh"))} (wasted ${show(sum("wastedWh"))}) • Lowest SOC ${fmt(sim.minSoc)}%` +
+    (sim.emptyAt != null ? ` • Bank empty after ${fmtHours(sim.emptyAt)}` : "");
+}
+
+// Operating modes & trip composition.
+// Anchor and Underway are built in: the two hour columns on every load row. User modes keep
+// their hours in row.hours[modeId]. A mode's kind (one of LEG_KINDS) decides which
+// mode-bound sources charge in it and which passage legs take their house load from it.
+const BUILTIN_MODES = [
+  { id: "anchor", name: "Anchor", kind: "anchor" },
+  { id: "sail", name: "Underway", kind: "sail" },
+];
+const MODE_PRESETS = [
+  { name: "Motoring", kind: "motor" },
+  { name: "Marina (shore power)", kind: "shore" },
+  { name: "Night passage", kind: "sail" },
+  { name: "Day sail", kind: "sail" },
+  { name: "Winter storage", kind: "anchor" },
+];
+// Sources that only charge in a mode of this kind; everything else runs every day
+const GEN_MODE_KIND = { Alternator: "motor", "AC Charger": "shore", Hydro: "sail" };
+// Longest trip, as scenario files allow for settings.days, trip[].days and weather[].day
+const TRIP_MAX_DAYS = 365;
+// The typical day when no trip is composed: both built-in columns, every source running
+const TYPICAL_DAY = { modes: ["anchor", "sail"], kinds: null, name: "Typical day" };
+
+function allModes() {
+  return [...BUILTIN_MODES, ...state.modes];
+}
+function modeById(id) {
+  return allModes().find((m) => m.id === id);
+}
+function rowHours(r, id) {
+  if (id === "anchor") return r.hAnchor || 0;
+  if (id === "sail") return r.hSail || 0;
+  return r.hours?.[id] || 0;
+}
+// Passage legs use the first user mode of their kind, else the built-in column they always used
+function modeForKind(kind) {
+  return state.modes.find((m) => m.kind === kind) || modeById(kind === "motor" || kind === "sail" ? "sail" : "anchor");
+}
+
+function genDayWh(e, V, kinds) {
+  const need = GEN_MODE_KIND[e.type];
+  return !kinds || !need || kinds.includes(need) ? genEntryWh(e, V) : 0;
+}
+
+// Every day of the trip in order: the typical day × Days, or the composed segments,
+// each with the weather pattern assigned to it
+function tripDays() {
+  const list = state.trip.length
+    ? state.trip.flatMap((seg) => {
+        const m = modeById(seg.mode);
+        return m ? Array.from({ length: seg.days }, () => ({ modes: [m.id], kinds: [m.kind], name: m.name })) : [];
+      })
+    : Array.from({ length: Math.max(1, state.settings.days || 1) }, () => TYPICAL_DAY);
+  return list.slice(0, TRIP_MAX_DAYS).map((d, i) => ({ ...d, wx: dayWeather(i + 1) }));
+}
+
+// Weather per trip day. Sunny is the generation as entered; the other patterns scale
+// Solar and Wind output by their multipliers (other sources are not weather-bound).
+function dayWeather(day) {
+  return state.weather.find((w) => w.day === day)?.pattern || "sunny";
+}
+// Saved multipliers over the defaults, so every pattern is always present
+function wxPatternsFrom(saved = []) {
+  return WEATHER_PATTERNS.map(({ id, solarPct, windPct }) => ({ id, solarPct, windPct, ...saved.find((p) => p.id === id) }));
+}
+function weatherFactor(e, wx = "sunny") {
+  const p = state.wxPatterns.find((x) => x.id === wx);
+  if (!p) return 1;
+  if (e.type === "Solar") return p.solarPct / 100;
+  if (e.type === "Wind") return p.windPct / 100;
+  return 1;
+}
+
+// Default pedestal breaker for new shore modes: 16 A on 230 V docks, 30 A on 120 V
+function defaultPedestalA(s = state.settings) {
+  return s.mainsV === 230 ? 16 : 30;
+}
+
+// Loads (rows + inverter idle), generation and their hourly shapes for one day in `modes`.
+// On a shore-power day the AC rows run straight off the pedestal (no inverter, no standby)
+// and AC chargers only get the pedestal current the AC loads leave free in each hour.
+function dayProfile({ modes, kinds, wx }, V) {
+  const s = state.settings;
+  const shore = kinds?.includes("shore") ? modes.map(modeById).find((m) => m?.kind === "shore") : null;
+  const loadH = Array(24).fill(0),
+    genH = Array(24).fill(0),
+    shoreH = Array(24).fill(0); // W drawn from the pedestal per hour
+  const byCat = new Map(),
+    byGen = new Map();
+  let rowsWh = 0,
+    acDcWh = 0;
+  for (const r of state.rows) {
+    const hours = modes.reduce((t, id) => t + rowHours(r, id), 0);
+    const wh = rowWh(r, hours, (r.duty || 0) / 100, r.qty || 0);
+    if (shore && r.type === "AC") {
+      // rowWh is the bank draw through the inverter; shore serves the outlet side directly
+      spreadDaily(wh * (s.invEff / 100), scheduleHours(r.sched)).forEach((x, h) => (shoreH[h] += x));
+      continue;
+    }
+    rowsWh += wh;
+    if (r.type === "AC") acDcWh += wh;
+    byCat.set(r.category, (byCat.get(r.category) || 0) + wh);
+    spreadDaily(wh, scheduleHours(r.sched)).forEach((x, h) => (loadH[h] += x));
+  }
+  const inv = shore ? { perHour: Array(24).fill(0), dayHours: 0 } : inverterSchedule(s, modes);
+  const standbyWh = inverterIdleW(s) * inv.dayHours;
+  spreadDaily(standbyWh, inv.perHour).forEach((x, h) => (loadH[h] += x));
+  const pedestalW = shore ? (shore.pedestalA ?? defaultPedestalA(s)) * s.mainsV : Infinity;
+  const shoreAcWh = shoreH.reduce((t, x) => t + x, 0);
+  const chargers = [];
+  let genWh = 0;
+  for (const e of state.gen) {
+    if (!genDayWh(e, V, kinds)) continue;
+    const f = weatherFactor(e, wx);
+    const hourly = genHourlyWh(e, V).map((x) => x * f);
+    if (shore && e.type === "AC Charger") chargers.push({ e, hourly });
+    else addGen(e, hourly);
+  }
+  // Chargers share what is left of the breaker; input ≈ stored energy ÷ charging efficiency
+  for (let h = 0; h < 24 && chargers.length; h++) {
+    const inputW = chargers.reduce((t, c) => t + c.hourly[h] / Math.max(0.01, (c.e.effPct ?? 100) / 100), 0);
+    const f = inputW > 0 ? Math.min(1, Math.max(0, pedestalW - shoreH[h]) / inputW) : 0;
+    for (const c of chargers) c.hourly[h] *= f;
+    shoreH[h] += inputW * f;
+  }
+  chargers.forEach((c) => addGen(c.e, c.hourly));
+  function addGen(e, hourly) {
+    const wh = hourly.reduce((t, x) => t + x, 0);
+    genWh += wh;
+    byGen.set(e.type, (byGen.get(e.type) || 0) + wh);
+    hourly.forEach((x, h) => (genH[h] += x));
+  }
+  return {
+    rowsWh,
+    acDcWh,
+    standbyWh,
+    invHours: inv.dayHours,
+    loadWh: rowsWh + standbyWh,
+    genWh,
+    byCat,
+    byGen,
+    loadH,
+    genH,
+    shore: shore && {
+      pedestalA: pedestalW / s.mainsV,
+      acWh: shoreAcWh,
+      wh: shoreH.reduce((t, x) => t + x, 0),
+      peakA: Math.max(...shoreH) / s.mainsV,
+    },
+  };
+}
+
+// Trip days with their profiles; identical days share one computed profile
+function tripProfiles(V) {
+  const cache = new Map();
+  return tripDays().map((d) => {
+    const key = `${d.modes.join("+")}|${d.wx}`;
+    if (!cache.has(key)) cache.set(key, dayProfile(d, V));
+    return { ...d, ...cache.get(key) };
+  });
+}
+
+// "Days without charging" follows the composed trip while there is one
+function syncTripDays() {
+  const total = Math.min(TRIP_MAX_DAYS, state.trip.reduce((t, seg) => t + seg.days, 0));
+  days.disabled = total > 0;
+  days.title = total > 0 ? "Set by the trip composition (Modes & Trip tab)" : "";
+  if (total > 0) days.value = total;
+  pruneWeather();
+}
+
+// Weather only for days the trip has, so shortening then lengthening it starts sunny
+function pruneWeather() {
+  const n = clamp(Math.round(num(days.value)) || 1, 1, TRIP_MAX_DAYS);
+  state.weather = state.weather.filter((w) => w.day <= n);
+}
+
+function addMode(preset) {
+  const taken = new Set(allModes().map((m) => m.name));
+  let name = preset?.name || "New mode";
+  for (let i = 2; taken.has(name); i++) name = `${preset?.name || "New mode"} ${i}`;
+  const kind = preset?.kind || "anchor";
+  state.modes.push({ id: newId(), name, kind, ...(kind === "shore" ? { pedestalA: defaultPedestalA() } : {}) });
+  renderModeTables();
+  recalc();
+}
+
+function deleteMode(id) {
+  const m = modeById(id);
+  const used = state.trip.some((seg) => seg.mode === id);
+  if (used && !confirm(`“${m.name}” is part of the trip composition. Remove it and its trip days?`)) return;
+  state.modes = state.modes.filter((x) => x.id !== id);
+  state.trip = state.trip.filter((seg) => seg.mode !== id);
+  for (const r of state.rows) if (r.hours) delete r.hours[id];
+  renderModeTables();
+  recalc();
+}
+
+function renderModeTables() {
+  const modes = allModes();
+  const kindSelect = (m) =>
+    `<select aria-label="Mode kind" ${BUILTIN_MODES.includes(m) ? "disabled" : ""}>${Object.entries(LEG_KINDS)
+      .map(([k, label]) => `<option value="${k}" ${m.kind === k ? "selected" : ""}>${label}</option>`)
+      .join("")}</select>`;
+  $("#modeBody").innerHTML = modes
+    .map((m) => {
+      const builtin = BUILTIN_MODES.includes(m);
+      return `<tr data-mode="${m.id}">
+        <td>${builtin ? `${escapeHtml(m.name)} <span class="badge">hours on Loads tab</span>` : `<input aria-label="Mode name" value="${escapeAttr(m.name)}"/>`}</td>
+        <td>${kindSelect(m)}${
+          m.kind === "shore"
+            ? ` <input type="number" min="1" max="100" step="1" class="qty mode-ped" aria-label="Pedestal A" title="Shore pedestal breaker (A at ${state.settings.mainsV} V)" value="${m.pedestalA ?? defaultPedestalA()}"/> A`
+            : ""
+        }</td>
+        <td class="center mode-load"></td>
+        <td class="center mode-gen"></td>
+        <td class="center mode-net"></td>
+        <td class="center">${builtin ? "" : `<button title="Delete" aria-label="Delete mode">✕</button>`}</td>
+      </tr>`;
+    })
+    .join("");
+
+  $("#tripMode").innerHTML = modes.map((m) => `<option value="${m.id}">${escapeHtml(m.name)}</option>`).join("");
+  $("#tripBody").innerHTML = state.trip
+    .map(
+      (seg, i) => `<tr data-seg="${i}">
+        <td>${i + 1}</td>
+        <td><select aria-label="Segment mode">${modes
+          .map((m) => `<option value="${m.id}" ${m.id === seg.mode ? "selected" : ""}>${escapeHtml(m.name)}</option>`)
+          .join("")}</select></td>
+        <td><input type="number" min="1" step="1" class="qty" aria-label="Days" value="${seg.days}"/></td>
+        <td class="center seg-load"></td>
+        <td class="center seg-gen"></td>
+        <td class="center seg-net"></td>
+        <td class="center"><button title="Delete" aria-label="Delete segment">✕</button></td>
+      </tr>`
+    )
+    .join("");
+
+  const extra = state.modes;
+  $("#modeHours").innerHTML = `
+    <thead><tr><th>Load</th>${modes.map((m) => `<th class="center">${escapeHtml(m.name)}</th>`).join("")}</tr></thead>
+    <tbody>${
+      state.rows.length
+        ? state.rows
+            .map(
+              (r, i) => `<tr data-row="${i}">
+        <td>${escapeHtml(r.name)}</td>
+        <td class="center">${fmt(r.hAnchor || 0)}</td>
+        <td class="center">${fmt(r.hSail || 0)}</td>
+        ${extra
+          .map(
+            (m) =>
+              `<td class="center"><input type="number" min="0" max="24" step="0.1" class="number" data-mode="${m.id}" aria-label="Hours ${escapeAttr(m.name)}" value="${rowHours(r, m.id)}"/></td>`
+          )
+          .join("")}
+      </tr>`
+            )
+            .join("")
+        : `<tr><td colspan="${modes.length + 1}" class="muted">Add loads on the Loads tab first.</td></tr>`
+    }</tbody>`;
+  syncTripDays();
+  renderWeather();
+}
+
+function renderWeather() {
+  const n = tripDays().length;
+  $("#wxBody").innerHTML = WEATHER_PATTERNS.map((p) => {
+    const cur = state.wxPatterns.find((x) => x.id === p.id);
+    const input = (k) =>
+      p.id === "sunny"
+        ? `${fmt(cur[k])}`
+        : `<input type="number" min="0" max="300" step="5" class="qty" data-k="${k}" aria-label="${p.name} ${k === "solarPct" ? "solar" : "wind"} %" value="${cur[k]}"/>`;
+    const days = Array.from({ length: n }, (_, i) => i + 1).filter((d) => dayWeather(d) === p.id).length;
+    return `<tr data-wx="${p.id}">
+      <td>${p.name}</td>
+      <td class="center">${input("solarPct")}</td>
+      <td class="center">${input("windPct")}</td>
+      <td class="center">${days}</td>
+    </tr>`;
+  }).join("");
+  const options = (day) =>
+    WEATHER_PATTERNS.map((p) => `<option value="${p.id}" ${dayWeather(day) === p.id ? "selected" : ""}>${p.name}</option>`).join("");
+  $("#wxDays").innerHTML = Array.from(
+    { length: n },
+    (_, i) => `<label class="muted">Day ${i + 1} <select class="select" data-day="${i + 1}" aria-label="Weather day ${i + 1}">${options(i + 1)}</select></label>`
+  ).join("");
+}
+
+// Assign a pattern to one day; sunny days are not stored
+function setDayWeather(day, pattern) {
+  state.weather = state.weather.filter((w) => w.day !== day);
+  if (pattern !== "sunny") state.weather.push({ day, pattern });
+  state.weather.sort((a, b) => a.day - b.day);
+}
+
+// Numbers only, so inputs keep focus while typing
+function renderModeStats(m) {
+  const V = state.settings.voltage;
+  const show = (wh) => (unitMode === "Wh" ? `${fmt(wh)} Wh` : `${fmt(wh / V)} Ah`);
+  for (const tr of $$("#modeBody tr")) {
+    const st = m.modeStats[tr.dataset.mode];
+    if (!st) continue;
+    $(".mode-load", tr).textContent = show(st.loadWh);
+    $(".mode-gen", tr).textContent = show(st.genWh);
+    $(".mode-net", tr).textContent = show(st.genWh - st.loadWh);
+    $(".mode-net", tr).classList.toggle("danger", st.genWh < st.loadWh);
+  }
+  let tripLoad = 0,
+    tripGen = 0;
+  $$("#tripBody tr").forEach((tr, i) => {
+    const seg = state.trip[i],
+      st = seg && m.modeStats[seg.mode];
+    if (!st) return;
+    tripLoad += st.loadWh * seg.days;
+    tripGen += st.genWh * seg.days;
+    $(".seg-load", tr).textContent = show(st.loadWh * seg.days);
+    $(".seg-gen", tr).textContent = show(st.genWh * seg.days);
+    $(".seg-net", tr).textContent = show((st.genWh - st.loadWh) * seg.days);
+    $(".seg-net", tr).classList.toggle("danger", st.genWh < st.loadWh);
+  });
+  if ($$("#wxDays select").length !== m.days.length) renderWeather();
+  $("#tripSummary").textContent = state.trip.length
+    ? `${m.days.length} days • Loads ${show(tripLoad)} • Gen ${show(tripGen)} • Net ${show(tripGen - tripLoad)}`
+    : `No trip composed: each of the ${m.days.length} days is the typical day (Anchor + Underway hours, every source running).`;
+}
+
+$("#addMode").addEventListener("click", () => {
+  const i = $("#modePreset").value;
+  addMode(i === "" ? null : MODE_PRESETS[i]);
+});
+$("#modeBody").addEventListener("input", (e) => {
+  const m = state.modes.find((x) => x.id === e.target.closest("tr")?.dataset.mode);
+  if (!m) return;
+  if (e.target.tagName === "SELECT") {
+    m.kind = e.target.value;
+    if (m.kind === "shore") m.pedestalA ??= defaultPedestalA();
+    else delete m.pedestalA;
+  } else if (e.target.classList.contains("mode-ped")) m.pedestalA = clamp(num(e.target.value), 1, 100);
+  else m.name = e.target.value.trim() || "Unnamed mode";
+  // Names also label the trip and hours tables
+  $$(`#tripMode option[value="${m.id}"], #tripBody option[value="${m.id}"]`).forEach((o) => (o.textContent = m.name));
+  recalc();
+});
+$("#modeBody").addEventListener("click", (e) => {
+  if (e.target.tagName === "BUTTON") deleteMode(e.target.closest("tr").dataset.mode);
+});
+$("#modeBody").addEventListener("change", () => {
+  renderModeTables(); // names head the hours table; shore kinds add a pedestal input
+  recalc();
+});
+// Days a segment may have without taking the trip past TRIP_MAX_DAYS
+function tripDaysLeft(except) {
+  return TRIP_MAX_DAYS - state.trip.reduce((t, seg) => t + (seg === except ? 0 : seg.days), 0);
+}
+
+$("#addTripSeg").addEventListener("click", () => {
+  const left = tripDaysLeft();
+  if (left < 1) return toast(`A trip can have at most ${TRIP_MAX_DAYS} days.`);
+  state.trip.push({ mode: $("#tripMode").value, days: clamp(Math.round(num($("#tripDaysIn").value)) || 1, 1, left) });
+  renderModeTables();
+  recalc();
+});
+$("#clearTrip").addEventListener("click", () => {
+  state.trip = [];
+  renderModeTables();
+  recalc();
+});
+$("#tripBody").addEventListener("input", (e) => {
+  const seg = state.trip[e.target.closest("tr")?.dataset.seg];
+  if (!seg) return;
+  if (e.target.tagName === "SELECT") seg.mode = e.target.value;
+  else seg.days = clamp(Math.round(num(e.target.value)) || 1, 1, Math.max(1, tripDaysLeft(seg)));
+  syncTripDays();
+  recalc();
+});
+$("#tripBody").addEventListener("click", (e) => {
+  if (e.target.tagName !== "BUTTON") return;
+  state.trip.splice(+e.target.closest("tr").dataset.seg, 1);
+  renderModeTables();
+  recalc();
+});
+$("#wxBody").addEventListener("input", (e) => {
+  const p = state.wxPatterns.find((x) => x.id === e.target.closest("tr")?.dataset.wx);
+  if (!p || !e.target.dataset.k) return;
+  p[e.target.dataset.k] = clamp(num(e.target.value), 0, 300);
+  recalc();
+});
+$("#wxDays").addEventListener("change", (e) => {
+  if (!e.target.dataset.day) return;
+  setDayWeather(+e.target.dataset.day, e.target.value);
+  renderWeather();
+  recalc();
+});
+// Worst case: the last N days in a row under one pattern, everything before sunny. Ending
+// the trip on them leaves the least room for sunny days to refill the bank afterwards.
+$("#wxRun").addEventListener("click", () => {
+  const total = tripDays().length;
+  const n = clamp(Math.round(num($("#wxRunN").value)), 1, total);
+  state.weather = [];
+  for (let d = total - n + 1; d <= total; d++) setDayWeather(d, $("#wxRunPattern").value);
+  renderWeather();
+  recalc();
+});
+$("#wxClear").addEventListener("click", () => {
+  state.weather = [];
+  renderWeather();
+  recalc();
+});
+$("#modeHours").addEventListener("input", (e) => {
+  const r = state.rows[e.target.closest("tr")?.dataset.row];
+  if (!r || !e.target.dataset.mode) return;
+  r.hours = { ...(r.hours || {}), [e.target.dataset.mode]: clamp(num(e.target.value), 0, 24) };
+  recalc();
+});
+
+// Scenario files: schema version, migration from older shapes, field validation.
+//   v1 — the old single "Save" slot (whole state object, no actual bank size)
+//   v2 — autosave shape { settings, rows, gen, legs, bankConfig }
+//   v3 — adds Electric Range inputs and the schema/version header
+const SCENARIO_SCHEMA = "boat-battery-sizer/scenario";
+const SCENARIO_VERSION = 3;
+
+const RANGE_FIELDS = {
+  batteryAh: rangeBatteryAh,
+  motorDraw: rangeMotorDraw,
+  speed: rangeSpeed,
+  speedUnit: rangeSpeedUnit,
+  chargerA: rangeChargerA,
+  useCharger: rangeUseCharger,
+  genHours: rangeGenHours,
+  propModel,
+  propPoints,
+  hullLwl,
+  hullDisp,
+  driveEff,
+  hotelA,
+};
+
+// [kind, ...limits] per field; "num" takes min/max, "int" also requires whole numbers
+const SCENARIO_FIELDS = {
+  settings: {
+    voltage: ["enum", [12, 24, 48]],
+    chemistry: ["enum", Object.keys(DEFAULTS.dodByChem)],
+    dod: ["num", 10, 99],
+    reserve: ["num", 0, 100],
+    days: ["int", 1, 365],
+    invEff: ["num", 50, 100],
+    invStandby: ["num", 0, 1000],
+    invSearchW: ["num", 0, 1000],
+    invSearchPct: ["num", 0, 100],
+    invMode: ["enum", ["demand", "always", "window"]],
+    invWindow: ["schedule"],
+    mainsV: ["enum", [120, 230]],
+    mainsHz: ["enum", [50, 60]],
+    derate: ["num", 0, 80],
+    peukert: ["num", 1, 1.6],
+    ambientC: ["num", -30, 60],
+    actualBankAh: ["num", 0, 100000],
+    bmsA: ["num", 0, 10000],
+    bmsSurgeA: ["num", 0, 20000],
+  },
+  row: {
+    name: ["str"],
+    category: ["enum", CATS],
+    type: ["enum", ["DC", "AC"]],
+    entry: ["enum", ["W", "A"]],
+    value: ["num", 0, 1e6],
+    hAnchor: ["num", 0, 24],
+    hSail: ["num", 0, 24],
+    hours: ["hours", 0, 24],
+    duty: ["num", 0, 100],
+    qty: ["num", 0, 1000],
+    sched: ["str"],
+    group: ["str"],
+    surge: ["num", 1, 20],
+    runFt: ["num", 0, 1000],
+    awg: ["enum", ["", ...WIRE_GAUGES.map((g) => g.awg)]],
+  },
+  gen: {
+    id: ["str"],
+    type: ["enum", GEN_TYPES],
+    name: ["str"],
+    qty: ["int", 1, 1000],
+    hours: ["num", 0, 24],
+    runFt: ["num", 0, 1000],
+    awg: ["enum", ["", ...WIRE_GAUGES.map((g) => g.awg)]],
+    panelW: ["num", 0, 100000],
+    panels: ["int", 1, 1000],
+    sunHrs: ["num", 0, 24],
+    deratePct: ["num", 0, 100],
+    ctrlEffPct: ["num", 0, 100],
+    ctrlType: ["enum", ["MPPT", "PWM"]],
+    airC: ["num", -30, 60],
+    siteLat: ["num", -66, 66],
+    siteMonth: ["int", 0, 11],
+    siteKt: ["num", 0.1, 0.8],
+    siteTilt: ["num", 0, 90],
+    siteShadePct: ["num", 0, 100],
+    ratedW: ["num", 0, 100000],
+    capacityPct: ["num", 0, 100],
+    windPreset: ["str"],
+    curve: ["curve", 100, 100000],
+    avgKn: ["num", 0, 60],
+    weibullK: ["num", 1, 4],
+    hydroPreset: ["str"],
+    speedKn: ["num", 0, 30],
+    fuelCellModel: ["str"],
+    outW: ["num", 0, 100000],
+    fuelLPerKWh: ["num", 0, 10],
+    tankL: ["num", 0, 10000],
+    dcAmps: ["num", 0, 10000],
+    effPct: ["num", 0, 100],
+    startHr: ["int", 0, 23],
+    altRatedA: ["num", 0, 1000],
+    hotDeratePct: ["num", 0, 90],
+    engineRpm: ["num", 0, 6000],
+    pulleyRatio: ["num", 0.5, 5],
+    dcdc: ["bool"],
+    dcdcLimitA: ["num", 0, 1000],
+    dcdcEffPct: ["num", 50, 100],
+    hoursFrom: ["enum", ["typed", "passage"]],
+  },
+  mode: {
+    id: ["str"],
+    name: ["str"],
+    kind: ["enum", Object.keys(LEG_KINDS)],
+    pedestalA: ["num", 1, 100],
+  },
+  trip: {
+    mode: ["str"],
+    days: ["int", 1, 365],
+  },
+  weather: {
+    day: ["int", 1, 365],
+    pattern: ["enum", WEATHER_PATTERNS.map((p) => p.id)],
+  },
+  wxPattern: {
+    id: ["enum", WEATHER_PATTERNS.map((p) => p.id)],
+    solarPct: ["num", 0, 300],
+    windPct: ["num", 0, 300],
+  },
+  leg: {
+    id: ["str"],
+    kind: ["enum", Object.keys(LEG_KINDS)],
+    hours: ["num", 0, 10000],
+    speedKn: ["num", 0, 60],
+  },
+  bankConfig: {
+    moduleId: ["enum", BATTERY_MODULES.map((m) => m.id)],
+    series: ["int", 1, 16],
+    parallel: ["int", 1, 64],
+  },
+  range: {
+    batteryAh: ["num", 0, 100000],
+    motorDraw: ["num", 0, 1000],
+    speed: ["num", 0, 100],
+    speedUnit: ["enum", Object.keys(SPEED_UNITS)],
+    chargerA: ["num", 0, 10000],
+    useCharger: ["bool"],
+    genHours: ["num", 0, 1000],
+    propModel: ["enum", ["manual", "points", "hull"]],
+    propPoints: ["str"],
+    hullLwl: ["num", 0, 500],
+    hullDisp: ["num", 0, 1e7],
+    driveEff: ["num", 1, 100],
+    hotelA: ["num", 0, 1000],
+  },
+};
+
+function readRangeForm() {
+  const out = {};
+  for (const [k, el] of Object.entries(RANGE_FIELDS)) {
+    const [kind, a, b] = SCENARIO_FIELDS.range[k];
+    out[k] = el.type === "checkbox" ? el.checked : kind === "num" ? clamp(num(el.value), a, b) : el.value;
+  }
+  return out;
+}
+
+function applyRangeForm(range) {
+  for (const [k, el] of Object.entries(RANGE_FIELDS)) {
+    if (range?.[k] == null) continue;
+    if (el.type === "checkbox") el.checked = range[k];
+    else el.value = range[k];
+  }
+  syncPropulsionUi();
+}
+
+// Bring any known older shape up to SCENARIO_VERSION; throws on files it cannot read
+function migrateScenario(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new Error("Not a scenario object.");
+  if (raw.schema != null && raw.schema !== SCENARIO_SCHEMA) throw new Error(`Unknown schema "${raw.schema}".`);
+  const from = Number.isInteger(raw.version) ? raw.version : raw.settings?.actualBankAh != null ? 2 : 1;
+  if (from > SCENARIO_VERSION)
+    throw new Error(`Saved by a newer version (v${from}); this page reads up to v${SCENARIO_VERSION}.`);
+  let data = JSON.parse(JSON.stringify(raw));
+  if (from < 2) {
+    const { editId, ...rest } = data;
+    data = { ...rest, settings: { ...(rest.settings || {}), actualBankAh: DEFAULTS.actualBankAh } };
+  }
+  if (from < 3) data.range = data.range || {};
+  return { data: { ...data, schema: SCENARIO_SCHEMA, version: SCENARIO_VERSION }, from };
+}
+
+// One value against a SCENARIO_FIELDS rule → { value } or { error }
+function checkField([kind, a, b], v) {
+  if (kind === "str")
+    return typeof v === "string" ? { value: v } : { error: `expected text, got ${JSON.stringify(v)}` };
+  if (kind === "bool")
+    return typeof v === "boolean" ? { value: v } : { error: `expected true/false, got ${JSON.stringify(v)}` };
+  if (kind === "curve") {
+    if (!Array.isArray(v) || !v.length) return { error: "expected a list of [speed, watts] points" };
+    const bad = v.findIndex(
+      (p) => !Array.isArray(p) || p.length !== 2 || p.some((x) => typeof x !== "number" || !Number.isFinite(x) || x < 0)
+    );
+    if (bad >= 0) return { error: `point ${bad + 1} should be [speed, watts], got ${JSON.stringify(v[bad])}` };
+    if (v.some((p, i) => p[0] > a || p[1] > b || (i && p[0] < v[i - 1][0])))
+      return { error: `speeds must ascend within 0–${a} and watts stay within 0–${b}` };
+    return { value: v.map((p) => [...p]) };
+  }
+  if (kind === "schedule")
+    return typeof v === "string" && validSchedule(v)
+      ? { value: v }
+      : { error: `expected hour ranges like "7-23", got ${JSON.stringify(v)}` };
+  if (kind === "hours") {
+    if (!v || typeof v !== "object" || Array.isArray(v)) return { error: "expected { modeId: hours }" };
+    const out = {};
+    for (const [id, h] of Object.entries(v)) {
+      const res = checkField(["num", a, b], h);
+      if (res.error) return { error: `${id}: ${res.error}` };
+      out[id] = res.value;
+    }
+    return { value: out };
+  }
+  if (kind === "enum")
+    return a.includes(v)
+      ? { value: v }
+      : { error: `${JSON.stringify(v)} is not one of ${a.map((x) => JSON.stringify(x)).join(", ")}` };
+  const n = typeof v === "string" && v.trim() !== "" ? Number(v) : v;
+  if (typeof n !== "number" || !Number.isFinite(n)) return { error: `expected a number, got ${JSON.stringify(v)}` };
+  if (kind === "int" && !Number.isInteger(n)) return { error: `expected a whole number, got ${n}` };
+  if (n < a || n > b) return { error: `${n} is outside ${a}–${b}` };
+  return { value: n };
+}
+
+// Check every known field; anything wrong is reported by path and nothing is loaded.
+// Unknown fields are dropped and listed separately.
+function validateScenario(data) {
+  const errors = [],
+    ignored = [];
+  const checkObj = (obj, spec, path) => {
+    if (obj == null) return undefined;
+    if (typeof obj !== "object" || Array.isArray(obj)) {
+      errors.push(`${path}: expected an object`);
+      return undefined;
+    }
+    const out = {};
+    for (const [k, v] of Object.entries(obj)) {
+      const rule = spec[k];
+      if (!rule) {
+        ignored.push(`${path}.${k}`);
+        continue;
+      }
+      const res = checkField(rule, v);
+      if (res.error) errors.push(`${path}.${k}: ${res.error}`);
+      else out[k] = res.value;
+    }
+    return out;
+  };
+  const checkList = (list, spec, path) => {
+    if (list == null) return [];
+    if (!Array.isArray(list)) {
+      errors.push(`${path}: expected a list`);
+      return [];
+    }
+    return list.map((x, i) => checkObj(x, spec, `${path}[${i}]`) || {});
+  };
+
+  const clean = {
+    schema: data.schema,
+    version: data.version,
+    name: typeof data.name === "string" ? data.name : undefined,
+    settings: checkObj(data.settings, SCENARIO_FIELDS.settings, "settings") || {},
+    rows: checkList(data.rows, SCENARIO_FIELDS.row, "rows"),
+    gen: checkList(data.gen, SCENARIO_FIELDS.gen, "gen"),
+    legs: checkList(data.legs, SCENARIO_FIELDS.leg, "legs"),
+    modes: checkList(data.modes, SCENARIO_FIELDS.mode, "modes"),
+    trip: checkList(data.trip, SCENARIO_FIELDS.trip, "trip"),
+    weather: checkList(data.weather, SCENARIO_FIELDS.weather, "weather"),
+    wxPatterns: checkList(data.wxPatterns, SCENARIO_FIELDS.wxPattern, "wxPatterns"),
+    bankConfig: checkObj(data.bankConfig, SCENARIO_FIELDS.bankConfig, "bankConfig") || null,
+    range: checkObj(data.range, SCENARIO_FIELDS.range, "range") || {},
+    scenarioId: typeof data.scenarioId === "string" ? data.scenarioId : null,
+  };
+  clean.gen.forEach((e, i) => {
+    if (data.gen[i]?.type == null) errors.push(`gen[${i}].type: missing`);
+    if (!e.id) e.id = newId();
+  });
+  // Modes need unique ids apart from the built-ins; trip days and row hours must name one
+  const modeIds = new Set(BUILTIN_MODES.map((m) => m.id));
+  clean.modes.forEach((m, i) => {
+    if (!m.id || !m.name || !m.kind) errors.push(`modes[${i}]: needs id, name and kind`);
+    else if (modeIds.has(m.id)) errors.push(`modes[${i}].id: "${m.id}" is already used`);
+    modeIds.add(m.id);
+  });
+  clean.trip.forEach((seg, i) => {
+    if (!modeIds.has(seg.mode)) errors.push(`trip[${i}].mode: no mode "${seg.mode}"`);
+    if (seg.days == null) errors.push(`trip[${i}].days: missing`);
+  });
+  clean.rows.forEach((r, i) => {
+    for (const id of Object.keys(r.hours || {}))
+      if (!modeIds.has(id) || BUILTIN_MODES.some((m) => m.id === id)) {
+        ignored.push(`rows[${i}].hours.${id}`);
+        delete r.hours[id];
+      }
+  });
+  const wxDays = new Set();
+  clean.weather.forEach((w, i) => {
+    if (w.day == null || !w.pattern) errors.push(`weather[${i}]: needs day and pattern`);
+    else if (wxDays.has(w.day)) errors.push(`weather[${i}].day: day ${w.day} already has a pattern`);
+    wxDays.add(w.day);
+  });
+  clean.wxPatterns.forEach((p, i) => {
+    if (!p.id) errors.push(`wxPatterns[${i}].id: missing`);
+  });
+  const known = [
+    "schema",
+    "version",
+    "name",
+    "exported",
+    "settings",
+    "rows",
+    "gen",
+    "legs",
+    "modes",
+    "trip",
+    "weather",
+    "wxPatterns",
+    "bankConfig",
+    "range",
+    "scenarioId",
+  ];
+  for (const k of Object.keys(data)) if (!known.includes(k)) ignored.push(k);
+  return { data: clean, errors, ignored };
+}
+
+// Migrate + validate; { data, errors, ignored, from } — errors also covers unreadable files
+function parseScenario(raw) {
+  try {
+    const { data, from } = migrateScenario(raw);
+    return { ...validateScenario(data), from };
+  } catch (e) {
+    return { data: null, errors: [e.message], ignored: [], from: null };
+  }
+}
+
+// Autosave recovery: pull out-of-range numbers back inside the SCENARIO_FIELDS limits, drop
+// fields that cannot be repaired (defaults apply) and then list entries that still fail,
+// so one bad value does not cost the whole saved setup. → parseScenario result + fixes
+const SCENARIO_PARTS = {
+  settings: "settings",
+  rows: "row",
+  gen: "gen",
+  legs: "leg",
+  modes: "mode",
+  trip: "trip",
+  weather: "weather",
+  wxPatterns: "wxPattern",
+  bankConfig: "bankConfig",
+  range: "range",
+};
+function repairScenario(raw) {
+  const { data } = migrateScenario(raw);
+  const fixes = [];
+  const fixObj = (o, spec, path) => {
+    if (!o || typeof o !== "object" || Array.isArray(o)) return;
+    for (const [k, v] of Object.entries(o)) {
+      const rule = spec[k];
+      if (!rule || !checkField(rule, v).error) continue;
+      const [kind, a, b] = rule;
+      const n = typeof v === "string" && v.trim() === "" ? NaN : Number(v);
+      if ((kind === "num" || kind === "int") && Number.isFinite(n)) o[k] = clamp(kind === "int" ? Math.round(n) : n, a, b);
+      else if (kind === "hours" && v && typeof v === "object")
+        o[k] = Object.fromEntries(
+          Object.entries(v)
+            .filter(([, h]) => Number.isFinite(Number(h)))
+            .map(([id, h]) => [id, clamp(Number(h), a, b)])
+        );
+      else if (kind === "curve" && Array.isArray(v))
+        o[k] = v
+          .filter((pt) => Array.isArray(pt) && pt.length === 2 && pt.every((x) => Number.isFinite(x) && x >= 0))
+          .map(([kn, w]) => [Math.min(kn, a), Math.min(w, b)])
+          .sort((p, q) => p[0] - q[0]);
+      if (checkField(rule, o[k]).error) delete o[k];
+      fixes.push(`${path}.${k}`);
+    }
+  };
+  for (const [part, spec] of Object.entries(SCENARIO_PARTS)) {
+    if (Array.isArray(data[part])) data[part].forEach((x, i) => fixObj(x, SCENARIO_FIELDS[spec], `${part}[${i}]`));
+    else fixObj(data[part], SCENARIO_FIELDS[spec], part);
+  }
+  // Entries that are still invalid (no type, unknown trip mode, duplicate mode id…) go;
+  // dropping a mode can orphan trip days, hence the few passes
+  let res = validateScenario(data);
+  for (let pass = 0; pass < 3 && res.errors.length; pass++) {
+    const drop = new Set();
+    for (const err of res.errors) {
+      const m = err.match(/^(\w+)\[(\d+)\]/);
+      if (m && Array.isArray(data[m[1]])) drop.add(`${m[1]}[${m[2]}]`);
+      else if (SCENARIO_PARTS[err.split(/[.:]/)[0]]) delete data[err.split(/[.:]/)[0]];
+    }
+    for (const part of Object.keys(SCENARIO_PARTS))
+      if (Array.isArray(data[part])) data[part] = data[part].filter((_, i) => !drop.has(`${part}[${i}]`));
+    fixes.push(...drop);
+    res = validateScenario(data);
+  }
+  return { ...res, fixes };
+}
+
+function scenarioFile(name) {
+  return { schema: SCENARIO_SCHEMA, version: SCENARIO_VERSION, name, exported: new Date().toISOString(), ...scenarioSnapshot() };
+}
+
+function exportScenarioJSON() {
+  const loaded = readScenarios().find((sc) => sc.id === state.scenarioId);
+  const name = loaded?.name || "Boat scenario";
+  const blob = new Blob([JSON.stringify(scenarioFile(name), null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `${name.replace(/[^\w-]+/g, "-").toLowerCase()}.json`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+function showScenarioReport(title, res) {
+  const list = (items) => `<ul>${items.map((x) => `<li>${escapeHtml(x)}</li>`).join("")}</ul>`;
+  $("#scenarioReport").innerHTML =
+    `<b>${escapeHtml(title)}</b>` +
+    (res.errors.length ? `<div class="danger">Rejected fields — nothing was loaded:</div>${list(res.errors)}` : "") +
+    (res.ignored.length ? `<div class="muted">Ignored unknown fields:</div>${list(res.ignored)}` : "") +
+    (res.from && res.from < SCENARIO_VERSION ? `<div class="muted">Upgraded from schema v${res.from}.</div>` : "");
+  $("#scenarioReport").style.display = "";
+}
+
+async function importScenarioJSON(file) {
+  let raw;
+  try {
+    raw = JSON.parse(await file.text());
+  } catch (e) {
+    showScenarioReport(file.name, { errors: [`Not valid JSON: ${e.message}`], ignored: [], from: null });
+    return toast("Import failed.");
+  }
+  const res = parseScenario(raw);
+  showScenarioReport(file.name, res);
+  if (res.errors.length) return toast(`Import failed: ${res.errors.length} rejected field(s).`);
+  if (!confirm(`Replace the current setup with “${res.data.name || file.name}”?`)) return;
+  loadState({ ...res.data, scenarioId: null });
+  $("#scenarioName").value = res.data.name || "";
+  recalc();
+  toast("Scenario imported.");
+}
+
+// Scenario library (named snapshots in browser storage) + comparison
+const SCENARIO_KEY = "boatSizerScenarios";
+const LEGACY_SCENARIO_KEY = "boatSizerScenario"; // single slot used before the library
+const MAX_COMPARE = 3;
+const compareIds = new Set();
+
+function readScenarios() {
+  let list = [];
+  try {
+    list = JSON.parse(localStorage.getItem(SCENARIO_KEY) || "[]");
+  } catch (e) {
+    console.warn("scenario library parse failed", e);
+  }
+  const legacy = localStorage.getItem(LEGACY_SCENARIO_KEY);
+  if (legacy) {
+    try {
+      const now = Date.now();
+      list.push({ id: newId(), name: "Saved scenario", created: now, updated: now, data: JSON.parse(legacy) });
+      writeScenarios(list);
+    } catch (e) {
+      console.warn("legacy scenario parse failed", e);
+    }
+    localStorage.removeItem(LEGACY_SCENARIO_KEY);
+  }
+  return Array.isArray(list) ? list : [];
+}
+
+function writeScenarios(list) {
+  localStorage.setItem(SCENARIO_KEY, JSON.stringify(list));
+}
+
+function scenarioSnapshot() {
+  const { settings, rows, gen, legs, modes, trip, weather, wxPatterns, bankConfig } = state;
+  return JSON.parse(
+    JSON.stringify({
+      version: SCENARIO_VERSION,
+      settings,
+      rows,
+      gen,
+      legs,
+      modes,
+      trip,
+      weather,
+      wxPatterns,
+      bankConfig,
+      range: readRangeForm(),
+    })
+  );
+}
+
+function saveScenarioAs(name) {
+  const list = readScenarios();
+  const now = Date.now();
+  const sc = {
+    id: newId(),
+    name: String(name || "").trim() || `Scenario ${list.length + 1}`,
+    created: now,
+    updated: now,
+    data: scenarioSnapshot(),
+  };
+  list.push(sc);
+  writeScenarios(list);
+  state.scenarioId = sc.id;
+  recalc();
+  toast(`Saved “${sc.name}”.`);
+}
+
+function updateScenario(id) {
+  const list = readScenarios();
+  const sc = list.find((x) => x.id === id);
+  if (!sc) return;
+  sc.data = scenarioSnapshot();
+  sc.updated = Date.now();
+  writeScenarios(list);
+  state.scenarioId = id;
+  recalc();
+  toast(`Updated “${sc.name}”.`);
+}
+
+// Run the model on a saved snapshot by swapping it into state for the duration.
+// Settings missing from older snapshots fall back to the current ones.
+function scenarioModel(data, prop) {
+  const live = {
+    settings: state.settings,
+    rows: state.rows,
+    gen: state.gen,
+    legs: state.legs,
+    modes: state.modes,
+    trip: state.trip,
+    weather: state.weather,
+    wxPatterns: state.wxPatterns,
+  };
+  try {
+    Object.assign(state, {
+      settings: { ...state.settings, ...(data.settings || {}) },
+      rows: data.rows || [],
+      gen: data.gen || [],
+      legs: data.legs || [],
+      modes: data.modes || [],
+      trip: data.trip || [],
+      weather: data.weather || [],
+      wxPatterns: wxPatternsFrom(data.wxPatterns),
+    });
+    return computeModel(prop);
+  } finally {
+    Object.assign(state, live);
+  }
+}
+
+function fmtStamp(ts) {
+  return ts ? new Date(ts).toLocaleString([], { dateStyle: "medium", timeStyle: "short" }) : "—";
+}
+
+function renderScenarios() {
+  const list = readScenarios();
+  const prop = readRangeInputs().prop;
+  const entries = [
+    { id: "current", name: "Current setup", m: computeModel(prop), V: state.settings.voltage, actualAh: state.settings.actualBankAh },
+    ...list.map((sc) => {
+      const res = parseScenario(sc.data);
+      if (res.errors.length) return { ...sc, invalid: res.errors.length };
+      const m = scenarioModel(res.data, prop);
+      return { ...sc, m, V: m.bank.V, actualAh: m.bank.ah };
+    }),
+  ];
+  for (const id of compareIds) if (!entries.some((e) => e.id === id && e.m)) compareIds.delete(id);
+  const show = (wh, V) => (unitMode === "Wh" ? `${fmt(wh)} Wh` : `${fmt(wh / V)} Ah`);
+
+  $("#scenarioBody").innerHTML = entries
+    .map(
+      (e) => `<tr data-id="${e.id}">
+      <td class="center"><input type="checkbox" aria-label="Compare ${escapeAttr(e.name)}" ${compareIds.has(e.id) ? "checked" : ""} ${e.m ? "" : "disabled"}/></td>
+      <td>${escapeHtml(e.name)}${e.id === state.scenarioId ? ' <span class="muted">(loaded)</span>' : ""}</td>
+      <td class="center">${e.id === "current" ? "—" : fmtStamp(e.created)}</td>
+      <td class="center">${e.id === "current" ? "—" : fmtStamp(e.updated)}</td>
+      ${
+        e.m
+          ? `<td class="center">${show(e.m.whDayTotal, e.V)}/day</td>
+      <td class="center ${e.m.netWh < 0 ? "danger" : ""}">${show(e.m.netWh, e.V)}/day</td>`
+          : `<td class="center danger" colspan="2">${e.invalid} rejected field(s) — Load for details</td>`
+      }
+      <td class="actions center">${
+        e.id === "current"
+          ? ""
+          : ["load|Load", "update|Update", "rename|Rename", "dup|Duplicate"]
+              .map((a) => `<span class="link" data-act="${a.split("|")[0]}">${a.split("|")[1]}</span>`)
+              .join(" &nbsp;|&nbsp; ") +
+            ` &nbsp;|&nbsp; <span class="link danger" data-act="del">Delete</span>`
+      }</td>
+    </tr>`
+    )
+    .join("");
+
+  const picked = entries.filter((e) => compareIds.has(e.id));
+  const chartWrap = $("#compareChartWrap");
+  if (picked.length < 2) {
+    $("#compareTable").innerHTML = `<div class="muted">Tick two or three scenarios to compare them.</div>`;
+    chartWrap.style.display = "none";
+    $("#chartCompareFallback").style.display = "none";
+    return;
+  }
+  const metrics = [
+    ["Loads / day", (e) => show(e.m.whDayTotal, e.V)],
+    ["Generation / day", (e) => show(e.m.genWhDay, e.V)],
+    ["Net / day", (e) => show(e.m.netWh, e.V)],
+    ["Wasted gen / day", (e) => show(e.m.wastedDayWh, e.V)],
+    ["Fuel cell methanol / day", (e) => (e.m.fuelCells ? `${fmt(e.m.fuelLDay)} L` : "—")],
+    ["Required nameplate", (e) => `${fmt(e.m.nameplateAh)} Ah @ ${e.V} V`],
+    ["Suggested layout", (e) => escapeHtml(e.m.layout)],
+    ["Actual bank", (e) => `${fmt(e.actualAh)} Ah (${e.m.bank.chem})`],
+    ["Lowest SOC (hourly)", (e) => `${fmt(e.m.hourly.minSoc)}%`],
+  ];
+  $("#compareTable").innerHTML = `<table>
+    <thead><tr><th></th>${picked.map((e) => `<th class="center">${escapeHtml(e.name)}</th>`).join("")}</tr></thead>
+    <tbody>${metrics
+      .map(([label, val]) => `<tr><td>${label}</td>${picked.map((e) => `<td class="center">${val(e)}</td>`).join("")}</tr>`)
+      .join("")}</tbody>
+  </table>`;
+
+  chartWrap.style.display = "";
+  const longest = picked.reduce((a, e) => (e.m.hourly.labels.length > a.length ? e.m.hourly.labels : a), []);
+  if (typeof window.renderScenarioCompare === "function") {
+    window.renderScenarioCompare({
+      labels: longest,
+      series: picked.map((e) => ({ name: e.name, soc: e.m.hourly.soc })),
+    });
+  }
+}
+
+$("#exportScenario").addEventListener("click", exportScenarioJSON);
+$("#importScenario").addEventListener("click", () => $("#importScenarioFile").click());
+$("#importScenarioFile").addEventListener("change", (ev) => {
+  const file = ev.target.files[0];
+  ev.target.value = "";
+  if (file) importScenarioJSON(file);
+});
+$("#saveScenarioAs").addEventListener("click", () => {
+  saveScenarioAs($("#scenarioName").value);
+  $("#scenarioName").value = "";
+});
+$("#scenarioBody").addEventListener("change", (ev) => {
+  const id = ev.target.closest("tr")?.dataset.id;
+  if (!id) return;
+  if (ev.target.checked && compareIds.size >= MAX_COMPARE) {
+    ev.target.checked = false;
+    return toast(`Compare up to ${MAX_COMPARE} scenarios at a time.`);
+  }
+  ev.target.checked ? compareIds.add(id) : compareIds.delete(id);
+  renderScenarios();
+});
+$("#scenarioBody").addEventListener("click", (ev) => {
+  const act = ev.target?.dataset?.act;
+  const id = ev.target.closest("tr")?.dataset.id;
+  if (!act || !id) return;
+  const list = readScenarios();
+  const sc = list.find((x) => x.id === id);
+  if (!sc) return;
+  if (act === "load") {
+    const res = parseScenario(sc.data);
+    if (res.errors.length) {
+      showScenarioReport(sc.name, res);
+      return toast(`“${sc.name}” has ${res.errors.length} rejected field(s).`);
+    }
+    if (!confirm(`Replace the current setup with “${sc.name}”?`)) return;
+    loadState({ ...res.data, scenarioId: sc.id });
+    recalc();
+    toast(`Loaded “${sc.name}”.`);
+  } else if (act === "update") {
+    if (confirm(`Overwrite “${sc.name}” with the current setup?`)) updateScenario(id);
+  } else if (act === "rename") {
+    const name = prompt("Rename scenario", sc.name);
+    if (name == null || !name.trim()) return;
+    sc.name = name.trim();
+    sc.updated = Date.now();
+    writeScenarios(list);
+    renderScenarios();
+  } else if (act === "dup") {
+    const now = Date.now();
+    list.push({ ...JSON.parse(JSON.stringify(sc)), id: newId(), name: `${sc.name} (copy)`, created: now, updated: now });
+    writeScenarios(list);
+    renderScenarios();
+  } else if (act === "del") {
+    if (!confirm(`Delete “${sc.name}”?`)) return;
+    writeScenarios(list.filter((x) => x.id !== id));
+    compareIds.delete(id);
+    if (state.scenarioId === id) state.scenarioId = null;
+    recalc();
+  }
+});
+
+// Share links: settings, loads and generation packed into the URL fragment (#s=...).
+// Rows become positional arrays with trailing defaults dropped; nothing leaves the browser.
+const SHARE_ROW_KEYS = ["name", "category", "type", "entry", "value", "hAnchor", "hSail", "duty", "qty", "sched", "group", "surge", "runFt", "awg", "hours"];
+const SHARE_ROW_DEFAULTS = { sched: "", group: "", surge: 1, runFt: 0, awg: "" };
+
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let bin = "";
+  bytes.forEach((b) => (bin += String.fromCharCode(b)));
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(s) {
+  const bin = atob(s.replace(/-/g, "+").replace(/_/g, "/"));
+  return new TextDecoder().decode(Uint8Array.from(bin, (c) => c.charCodeAt(0)));
+}
+
+function encodeShareLink() {
+  const rows = state.rows.map((r) => {
+    const a = SHARE_ROW_KEYS.map((k) => (k === "category" && CATS.includes(r[k]) ? CATS.indexOf(r[k]) : r[k]));
+    while (a.length > 9 && (a[a.length - 1] ?? "") === (SHARE_ROW_DEFAULTS[SHARE_ROW_KEYS[a.length - 1]] ?? "")) a.pop();
+    return a;
+  });
+  const gen = state.gen.map(({ id, ...e }) => e);
+  const payload = { v: SCENARIO_VERSION, s: state.settings, r: rows, g: gen };
+  if (state.modes.length) payload.m = state.modes;
+  if (state.trip.length) payload.t = state.trip;
+  if (state.weather.length) payload.w = state.weather;
+  if (state.wxPatterns.some((p, i) => p.solarPct !== WEATHER_PATTERNS[i].solarPct || p.windPct !== WEATHER_PATTERNS[i].windPct))
+    payload.wp = state.wxPatterns;
+  return `${location.origin}${location.pathname}${location.search}#s=${toBase64Url(JSON.stringify(payload))}`;
+}
+
+// "#s=..." → parseScenario result, or null when the fragment is not a share link
+function decodeShareLink(hash) {
+  const m = String(hash || "").match(/^#s=([\w-]+)$/);
+  if (!m) return null;
+  try {
+    const p = JSON.parse(fromBase64Url(m[1]));
+    const rows = (p.r || []).map((a) =>
+      Object.fromEntries(
+        a.map((v, i) => [SHARE_ROW_KEYS[i], SHARE_ROW_KEYS[i] === "category" && typeof v === "number" ? CATS[v] : v])
+      )
+    );
+    return parseScenario({ version: p.v, settings: p.s, rows, gen: p.g, legs: [], modes: p.m, trip: p.t, weather: p.w, wxPatterns: p.wp });
+  } catch (e) {
+    return { data: null, errors: [`Link is damaged or incomplete (${e.message}).`], ignored: [] };
+  }
+}
+
+// Load a shared link ahead of local work; the work it replaces is kept in the scenario library
+function hydrateFromLink() {
+  const res = decodeShareLink(location.hash);
+  if (!res) return false;
+  history.replaceState(null, "", location.pathname + location.search);
+  if (res.errors.length) {
+    console.warn("share link rejected:", res.errors);
+    toast(`Shared link could not be loaded: ${res.errors[0]}`);
+    return false;
+  }
+  const local = localStorage.getItem("boatSizerAutosaveV2");
+  if (local) {
+    const ok = confirm(
+      "Open the shared scenario from this link?\n\nIt replaces the settings, loads and generation on screen. " +
+        "Your current work will be kept under Scenarios as “Before shared link”."
+    );
+    if (!ok) return false;
+    try {
+      const list = readScenarios();
+      const now = Date.now();
+      list.push({ id: newId(), name: `Before shared link (${fmtStamp(now)})`, created: now, updated: now, data: JSON.parse(local) });
+      writeScenarios(list);
+    } catch (e) {
+      console.warn("could not keep local work", e);
+    }
+  }
+  loadState({ ...res.data, scenarioId: null });
+  recalc();
+  toast("Shared scenario loaded.");
+  return true;
+}
+window.addEventListener("hashchange", hydrateFromLink);
+
+$("#shareLink").addEventListener("click", async () => {
+  const url = encodeShareLink();
+  try {
+    await navigator.clipboard.writeText(url);
+    toast(url.length > 8000 ? "Link copied — it is long; some mail apps may cut it." : "Share link copied.");
+  } catch (e) {
+    prompt("Copy this link:", url);
+  }
+});
+
+// Defaults
+function seedDefaults() {
   const wanted = [
     "Anchor Light (LED)",
     "Running/Nav Lights (LED set)",
@@ -799,15 +4397,37 @@ function seedDefaults() {
 
 (function init() {
   setGenType("Solar");
+  if (hydrateFromLink()) return;
   const raw = localStorage.getItem("boatSizerAutosaveV2");
   if (raw) {
+    let res;
     try {
-      loadState(JSON.parse(raw));
+      res = parseScenario(JSON.parse(raw));
+    } catch (e) {
+      res = { errors: [e.message] };
+    }
+    if (!res.errors.length) {
+      loadState(res.data);
       recalc();
       return;
+    }
+    console.warn("autosave rejected:", res.errors);
+    let fixed = null;
+    try {
+      fixed = repairScenario(JSON.parse(raw));
     } catch (e) {
-      console.warn("autosave v2 parse failed", e);
+      console.warn("autosave unreadable:", e.message);
     }
+    if (fixed && !fixed.errors.length) {
+      loadState(fixed.data);
+      recalc();
+      console.warn("autosave repaired:", fixed.fixes);
+      toast(`Restored your last session; ${fixed.fixes.length} invalid value(s) were clamped or reset to defaults.`);
+      return;
+    }
+    // Keep the unreadable copy before the defaults below autosave over it
+    localStorage.setItem("boatSizerAutosaveV2.rejected", raw);
+    toast("Your last session could not be restored; it was kept as “boatSizerAutosaveV2.rejected” in browser storage.");
   }
   seedDefaults();
   genName.value = "Solar: 200 W × 2";
@@ -821,79 +4441,82 @@ function seedDefaults() {
   recalc();
 })();
 
+// Expects data that passed parseScenario (migrated + validated)
 function loadState(data) {
-  try {
-    voltage.value = data.settings.voltage ?? 12;
-    chemistry.value = data.settings.chemistry ?? "LFP";
-    dod.value = data.settings.dod ?? DEFAULTS.dodByChem[chemistry.value];
-    reserve.value = data.settings.reserve ?? 20;
-    days.value = data.settings.days ?? 2;
-    invEff.value = data.settings.invEff ?? 90;
-    invStandby.value = data.settings.invStandby ?? 6;
-    derate.value = data.settings.derate ?? 0;
-    
-        // NEW:
-    if (data.settings.actualBankAh != null) {
-      actualBankAhEl.value = data.settings.actualBankAh;
-    } else {
-      actualBankAhEl.value = DEFAULTS.actualBankAh;
-    }
+  voltage.value = data.settings.voltage ?? 12;
+  chemistry.value = data.settings.chemistry ?? "LFP";
+  dod.value = data.settings.dod ?? DEFAULTS.dodByChem[chemistry.value];
+  reserve.value = data.settings.reserve ?? 20;
+  days.value = data.settings.days ?? 2;
+  invEff.value = data.settings.invEff ?? 90;
+  invStandby.value = data.settings.invStandby ?? 6;
+  invSearchW.value = data.settings.invSearchW ?? DEFAULTS.invSearchW;
+  invSearchPct.value = data.settings.invSearchPct ?? DEFAULTS.invSearchPct;
+  invMode.value = data.settings.invMode ?? DEFAULTS.invMode;
+  invWindow.value = data.settings.invWindow ?? DEFAULTS.invWindow;
+  invMode.dispatchEvent(new Event("input"));
+  mainsV.value = data.settings.mainsV ?? DEFAULTS.mainsV;
+  mainsHz.value = data.settings.mainsHz ?? DEFAULTS.mainsHz;
+  derate.value = data.settings.derate ?? 0;
+  peukert.value = data.settings.peukert ?? DEFAULTS.peukertByChem[chemistry.value];
+  ambientC.value = data.settings.ambientC ?? DEFAULTS.ambientC;
+  bmsA.value = data.settings.bmsA ?? DEFAULTS.bmsA;
+  bmsSurgeA.value = data.settings.bmsSurgeA ?? DEFAULTS.bmsSurgeA;
 
-    tbody.innerHTML = "";
-    state.rows = [];
-    (data.rows || []).forEach((r) => addRow(r));
-    state.gen = [];
-    genBody.innerHTML = "";
-    (data.gen || []).forEach((e) => state.gen.push(e));
-    renderGenList();
-    unitMode = "Ah";
-    window.unitMode = unitMode;
-    $("#unitWh").checked = false;
-    $("#unitAh").checked = true;
-  } catch (e) {
-    console.error(e);
+  // NEW:
+  if (data.settings.actualBankAh != null) {
+    actualBankAhEl.value = data.settings.actualBankAh;
+  } else {
+    actualBankAhEl.value = DEFAULTS.actualBankAh;
   }
+
+  tbody.innerHTML = "";
+  state.rows = [];
+  (data.rows || []).forEach((r) => addRow(r));
+  state.gen = [];
+  genBody.innerHTML = "";
+  (data.gen || []).forEach((e) => state.gen.push(e));
+  renderGenList();
+  state.legs = [];
+  legBody.innerHTML = "";
+  (data.legs || []).forEach((l) => addLeg(l));
+  state.modes = data.modes || [];
+  state.trip = data.trip || [];
+  state.weather = data.weather || [];
+  state.wxPatterns = wxPatternsFrom(data.wxPatterns);
+  renderModeTables();
+  bankVoltage.value = voltage.value;
+  state.bankConfig = data.bankConfig || null;
+  state.scenarioId = data.scenarioId || null;
+  unitMode = "Ah";
+  window.unitMode = unitMode;
+  applyRangeForm(data.range);
+  $("#unitWh").checked = false;
+  $("#unitAh").checked = true;
 }
 
 /* ======= Reports breakdown builders (for stacked) ======= */
 
-// Generation breakdown by type (Solar/Wind/Alternator/AC Charger)
-function buildGenBreakdownSeries(daysCount, V) {
-  if (!Array.isArray(state.gen) || !state.gen.length) return undefined;
-  // Sum by type (per-day Wh)
-  const byType = new Map();
-  for (const e of state.gen) {
-    const wh = genEntryWh(e, V);
-    byType.set(e.type, (byType.get(e.type) || 0) + wh);
-  }
-  const labels = Array.from(byType.keys());
+// Generation breakdown by source type, per trip day (Wh)
+function buildGenBreakdownSeries(tripDayList) {
+  const labels = [...new Set(tripDayList.flatMap((d) => [...d.byGen.keys()]))];
   if (!labels.length) return undefined;
-  return labels.map((label) => ({
-    label,
-    series: Array.from({ length: daysCount }, () => byType.get(label) || 0),
-  }));
+  return labels.map((label) => ({ label, series: tripDayList.map((d) => d.byGen.get(label) || 0) }));
 }
 
-// Loads breakdown by Category (per-day Wh)
-function buildUseBreakdownSeries(daysCount) {
-  if (!Array.isArray(state.rows) || !state.rows.length) return undefined;
-  const byCat = new Map();
-  for (const r of state.rows) {
-    const duty = (r.duty || 0) / 100,
-      qty = r.qty || 0;
-    const whA = rowWh(r, r.hAnchor, duty, qty);
-    const whS = rowWh(r, r.hSail, duty, qty);
-    const wh = whA + whS;
-    byCat.set(r.category, (byCat.get(r.category) || 0) + wh);
-  }
-  // Add inverter standby as its own "category"
-  const inv = state.settings.invStandby * (Math.max(...state.rows.filter(x=>x.type==="AC").map(x=>x.hAnchor||0),0) + Math.max(...state.rows.filter(x=>x.type==="AC").map(x=>x.hSail||0),0));
-  if (inv > 0) byCat.set("Inverter Standby", (byCat.get("Inverter Standby") || 0) + inv);
+// Loads breakdown by Category plus inverter standby, per trip day (Wh)
+function buildUseBreakdownSeries(tripDayList) {
+  if (!state.rows.length) return undefined;
+  const labels = [...new Set(tripDayList.flatMap((d) => [...d.byCat.keys()]))];
+  const out = labels.map((label) => ({ label, series: tripDayList.map((d) => d.byCat.get(label) || 0) }));
+  if (tripDayList.some((d) => d.standbyWh > 0))
+    out.push({ label: "Inverter Standby", series: tripDayList.map((d) => d.standbyWh) });
+  return out.length ? out : undefined;
+}
 
-  const labels = Array.from(byCat.keys());
-  if (!labels.length) return undefined;
-  return labels.map((label) => ({
-    label,
-    series: Array.from({ length: daysCount }, () => byCat.get(label) || 0),
-  }));
+// "Day 3" for the typical day, "Day 3 · Night passage" for composed trips, plus the
+// weather when it is not sunny ("Day 3 · Night passage · Storm")
+function tripDayLabel(d, i) {
+  const wx = d.wx && d.wx !== "sunny" ? ` · ${WEATHER_PATTERNS.find((p) => p.id === d.wx).name}` : "";
+  return (d.kinds ? `Day ${i + 1} · ${d.name}` : `Day ${i + 1}`) + wx;
 }